@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+
+/**
+ * GitHub webhook receiver for the `api` entrypoint mode.
+ *
+ * Replaces polling: deliveries are verified against GITHUB_WEBHOOK_SECRET,
+ * converted to the Events API shape the cron jobs already understand, and
+ * queued (one at a time) into the issue-spec and PR-review job handlers.
+ *
+ * Required env vars:
+ * - GH_TOKEN, or GITHUB_APP_ID + GITHUB_APP_PRIVATE_KEY[_PATH] (GitHub App)
+ * - GITHUB_WEBHOOK_SECRET
+ *
+ * Optional env vars:
+ * - PORT (default: 3000)
+ * - GITHUB_REPO / GITHUB_REPOS / CODEX_CRON_CONFIG (repositories to act on; deliveries
+ *   for any other repository are ignored)
+ * - WEBHOOK_PATH (default: /webhook)
+ *
+ * Everything else (labels, prompts, models, state paths) is read by the job
+ * modules from the same env vars as cron mode.
+ */
+
+const http = require('node:http');
+const crypto = require('node:crypto');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+
+const PORT = Number(process.env.PORT || 3000);
+const HOST = '0.0.0.0';
+const WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET || '';
+const WEBHOOK_PATH = process.env.WEBHOOK_PATH || '/webhook';
+const MAX_BODY_BYTES = 25 * 1024 * 1024;
+const CRON_DIR = path.join(__dirname, '..', 'scripts', 'cron');
+
+// X-GitHub-Event -> Events API `type`, so payloads can reuse the cron logic.
+const EVENT_TYPES = {
+  issues: 'IssuesEvent',
+  pull_request_review: 'PullRequestReviewEvent',
+  pull_request_review_comment: 'PullRequestReviewCommentEvent',
+  issue_comment: 'IssueCommentEvent',
+  check_run: 'CheckRunEvent',
+  check_suite: 'CheckSuiteEvent',
+  deployment_status: 'DeploymentStatusEvent',
+};
+
+// Summaries and errors go through the jobs' redaction (tokens in clone URLs,
+// Codex output, API errors) before they reach the logs.
+const redactPromise = import(pathToFileURL(path.join(CRON_DIR, 'lib', 'redact.mjs')).href);
+function logJson(value, stream) {
+  return redactPromise.then((lib) => lib.logJson(value, stream));
+}
+
+let jobsPromise = null;
+function loadJobModules() {
+  if (!jobsPromise) {
+    jobsPromise = Promise.all([
+      import(pathToFileURL(path.join(CRON_DIR, 'github-issue-spec-codex-cron.mjs')).href),
+      import(pathToFileURL(path.join(CRON_DIR, 'github-pr-review-codex-cron.mjs')).href),
+      import(pathToFileURL(path.join(CRON_DIR, 'lib', 'config.mjs')).href),
+      import(pathToFileURL(path.join(CRON_DIR, 'lib', 'process.mjs')).href),
+    ]).then(([issueSpec, prReview, config, processLib]) => ({
+      issueSpec,
+      prReview,
+      repos: config.loadRepoConfigs(),
+      findRepoConfig: config.findRepoConfig,
+      cancelChildren: processLib.cancelChildren,
+    }));
+  }
+  return jobsPromise;
+}
+
+function verifySignature(secret, rawBody, header) {
+  if (!header || !header.startsWith('sha256=')) return false;
+  const expected = Buffer.from(
+    `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`,
+    'utf8'
+  );
+  const actual = Buffer.from(String(header), 'utf8');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function toRepoEvent(eventName, deliveryId, payload) {
+  const type = EVENT_TYPES[eventName];
+  if (!type) return null;
+  return {
+    id: deliveryId,
+    type,
+    repo: { name: payload?.repository?.full_name || null },
+    payload,
+    created_at: new Date().toISOString(),
+  };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        // Stop reading; the caller answers 413 and closes the connection.
+        req.pause();
+        reject(Object.assign(new Error('payload too large'), { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// `loadJobs` resolves to the job handlers and repo list (loadJobModules in
+// production, stubs in the tests). `idle()` settles once the queue is empty.
+function createWebhookServer({
+  secret = WEBHOOK_SECRET,
+  webhookPath = WEBHOOK_PATH,
+  maxBodyBytes = MAX_BODY_BYTES,
+  loadJobs = loadJobModules,
+} = {}) {
+  // Deliveries are processed strictly in order: Codex runs are heavy and the
+  // jobs share state files, so there is never more than one handler in flight.
+  let queue = Promise.resolve();
+  let pending = 0;
+  const recentDeliveries = [];
+
+  // A delivery counts as seen from the moment it is queued, so a copy that
+  // arrives while it waits is dropped. One whose handler failed is forgotten
+  // again, so a manual "Redeliver" runs it.
+  function seenDelivery(deliveryId) {
+    if (!deliveryId) return false;
+    if (recentDeliveries.includes(deliveryId)) return true;
+    recentDeliveries.push(deliveryId);
+    if (recentDeliveries.length > 500) recentDeliveries.shift();
+    return false;
+  }
+
+  function forgetDelivery(deliveryId) {
+    const index = recentDeliveries.indexOf(deliveryId);
+    if (index !== -1) recentDeliveries.splice(index, 1);
+  }
+
+  function enqueue(ev) {
+    pending += 1;
+    queue = queue
+      .then(async () => {
+        const { issueSpec, prReview } = await loadJobs();
+        // Comments on plain issues (`/codex` commands) belong to the issue job.
+        const isIssueEvent = ev.type === 'IssuesEvent' || (ev.type === 'IssueCommentEvent' && !ev.payload?.issue?.pull_request);
+        const handler = isIssueEvent ? issueSpec : prReview;
+        const summary = await handler.handleWebhookEvents([ev], ev.repo.name);
+        await logJson({ delivery: ev.id, event: ev.type, ...summary });
+      })
+      .catch((err) => {
+        forgetDelivery(ev.id);
+        return logJson({ delivery: ev.id, event: ev.type, error: String(err?.stack || err) }, 'stderr');
+      })
+      .finally(() => {
+        pending -= 1;
+      });
+  }
+
+  async function handleWebhook(req, res) {
+    let rawBody;
+    try {
+      rawBody = await readBody(req, maxBodyBytes);
+    } catch (err) {
+      // Answer before dropping the rest of the body: a destroyed socket cannot
+      // carry the response.
+      res.setHeader('Connection', 'close');
+      res.on('finish', () => req.destroy());
+      send(res, err.status || 400, { error: String(err.message || err) });
+      return;
+    }
+
+    if (!verifySignature(secret, rawBody, req.headers['x-hub-signature-256'])) {
+      send(res, 401, { error: 'invalid signature' });
+      return;
+    }
+
+    const eventName = String(req.headers['x-github-event'] || '');
+    const deliveryId = String(req.headers['x-github-delivery'] || '') || crypto.randomUUID();
+
+    if (eventName === 'ping') {
+      send(res, 200, { ok: true, pong: true });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch {
+      send(res, 400, { error: 'invalid JSON body' });
+      return;
+    }
+
+    const ev = toRepoEvent(eventName, deliveryId, payload);
+    if (!ev) {
+      send(res, 202, { ok: true, ignored: `unsupported event: ${eventName}` });
+      return;
+    }
+
+    const { repos, findRepoConfig } = await loadJobs();
+    const repoName = ev.repo.name;
+    if (!repoName || !findRepoConfig(repos, repoName)) {
+      send(res, 202, { ok: true, ignored: `repository ${repoName || '(none)'} is not configured` });
+      return;
+    }
+
+    if (seenDelivery(deliveryId)) {
+      send(res, 202, { ok: true, ignored: 'duplicate delivery' });
+      return;
+    }
+
+    enqueue(ev);
+    send(res, 202, { ok: true, queued: true, delivery: deliveryId, event: ev.type });
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url || '/', 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/healthz') {
+      loadJobs()
+        .then(({ repos }) => send(res, 200, { ok: true, repos: repos.map((r) => r.repo), pending }))
+        .catch((err) => send(res, 500, { ok: false, error: String(err?.message || err) }));
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === webhookPath) {
+      handleWebhook(req, res).catch((err) => {
+        logJson({ error: String(err?.stack || err) }, 'stderr');
+        if (!res.headersSent) send(res, 500, { error: 'internal error' });
+      });
+      return;
+    }
+
+    send(res, 404, { error: 'not found' });
+  });
+
+  return {
+    server,
+    pending: () => pending,
+    idle: () => queue,
+  };
+}
+
+function main() {
+  if (!WEBHOOK_SECRET) {
+    console.error(JSON.stringify({ error: 'GITHUB_WEBHOOK_SECRET missing' }));
+    process.exit(2);
+  }
+  const webhook = createWebhookServer();
+
+  // Load the job modules and repo list up front so a bad CODEX_CRON_CONFIG fails
+  // the deploy instead of the first delivery.
+  loadJobModules()
+    .then(({ repos }) => {
+      webhook.server.listen(PORT, HOST, () => {
+        console.log(JSON.stringify({ listening: `${HOST}:${PORT}`, path: WEBHOOK_PATH, repos: repos.map((r) => r.repo) }));
+      });
+    })
+    .catch((err) => {
+      const exit = () => process.exit(2);
+      logJson({ error: String(err?.stack || err) }, 'stderr').then(exit, exit);
+    });
+
+  // In-flight Codex/post-check children are cancelled (process group SIGTERM,
+  // then SIGKILL) so queued deliveries drain quickly instead of outliving the
+  // platform's stop timeout; a second signal exits at once.
+  let shuttingDown = false;
+  function shutdown(signal) {
+    if (shuttingDown) process.exit(1);
+    shuttingDown = true;
+    webhook.server.close(() => {
+      webhook.idle().finally(() => process.exit(0));
+    });
+    loadJobModules()
+      .then(({ cancelChildren }) => {
+        const cancelled = cancelChildren();
+        console.log(JSON.stringify({ shutdown: signal, pending: webhook.pending(), cancelledChildren: cancelled }));
+      })
+      .catch(() => process.exit(1));
+  }
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+if (require.main === module) main();
+
+module.exports = { createWebhookServer, toRepoEvent, verifySignature };
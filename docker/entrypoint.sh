@@ -3,24 +3,28 @@ set -euo pipefail
 
 MODE="${1:-shell}"
 
+seed_codex_auth() {
+  local codex_auth_dir="${CODEX_AUTH_DIR:-${HOME:-/root}/.codex}"
+  local codex_auth_file="$codex_auth_dir/auth.json"
+  if [[ -n "${CODEX_AUTH:-}" ]]; then
+    mkdir -p "$codex_auth_dir"
+    # Do not overwrite an existing auth file by default; Codex rotates refresh
+    # tokens and persists them to disk. Overwriting with stale CODEX_AUTH can
+    # cause refresh_token_reused failures.
+    if [[ "${CODEX_AUTH_OVERWRITE:-0}" == "1" || ! -s "$codex_auth_file" ]]; then
+      printf '%s' "$CODEX_AUTH" > "$codex_auth_file"
+      chmod 600 "$codex_auth_file"
+    fi
+  fi
+}
+
 case "$MODE" in
   shell)
     # Keep service alive for railway ssh interactive Codex sessions.
     exec sleep infinity
     ;;
   cron)
-    codex_auth_dir="${CODEX_AUTH_DIR:-${HOME:-/root}/.codex}"
-    codex_auth_file="$codex_auth_dir/auth.json"
-    if [[ -n "${CODEX_AUTH:-}" ]]; then
-      mkdir -p "$codex_auth_dir"
-      # Do not overwrite an existing auth file by default; Codex rotates refresh
-      # tokens and persists them to disk. Overwriting with stale CODEX_AUTH can
-      # cause refresh_token_reused failures.
-      if [[ "${CODEX_AUTH_OVERWRITE:-0}" == "1" || ! -s "$codex_auth_file" ]]; then
-        printf '%s' "$CODEX_AUTH" > "$codex_auth_file"
-        chmod 600 "$codex_auth_file"
-      fi
-    fi
+    seed_codex_auth
 
     if [[ -n "${CODEX_CRON_COMMAND:-}" ]]; then
       # Helpful validation for the common pattern: CODEX_CRON_COMMAND="node /workspace/scripts/cron/<file>.mjs"
@@ -40,8 +44,9 @@ case "$MODE" in
     exec codex exec --skip-git-repo-check "$CODEX_TASK"
     ;;
   api)
-    # Optional future API/webhook entrypoint.
-    exec node api/server.js
+    # GitHub webhook receiver; runs the cron job logic on each delivery.
+    seed_codex_auth
+    exec node /workspace/api/server.js
     ;;
   *)
     exec "$@"
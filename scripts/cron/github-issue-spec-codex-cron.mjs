@@ -3,88 +3,97 @@
 /**
  * Poll GitHub repo events for module-spec issues and trigger Codex for actionable items.
  *
- * Required env vars:
+ * Required env vars (one of):
  * - GH_TOKEN
+ * - GITHUB_APP_ID + GITHUB_APP_PRIVATE_KEY[_PATH] (GitHub App; see lib/auth.mjs)
  *
  * Optional env vars:
- * - GITHUB_REPO (default: raid-guild/cohort-portal-spike)
+ * - GITHUB_REPO (default: raid-guild/cohort-portal-spike) / GITHUB_REPOS / CODEX_CRON_CONFIG
  * - MODULE_SPEC_LABEL (default: module-spec)
- * - GITHUB_ISSUE_SPEC_STATE_PATH (default: /workspace/.codex/cron/github-issue-spec-state.json)
+ * - GITHUB_ISSUE_SPEC_STATE_PATH (default: $CODEX_AUTH_DIR/cron/github-issue-spec-state.json)
  * - CODEX_MODEL (optional)
  * - CODEX_BASE_PROMPT (optional)
+ *
+ * Everything else is documented in README.md and in the lib/*.mjs headers.
  */
 
-import fs from 'node:fs';
 import path from 'node:path';
-import { spawn } from 'node:child_process';
-
-const REPO = process.env.GITHUB_REPO || 'raid-guild/cohort-portal-spike';
-const GH_TOKEN = process.env.GH_TOKEN;
-const API = 'https://api.github.com';
-const EVENTS_URL = `${API}/repos/${REPO}/events?per_page=100`;
-const CODEX_HOME = process.env.CODEX_AUTH_DIR || path.join(process.env.HOME || '/root', '.codex');
-const STATE_PATH = process.env.GITHUB_ISSUE_SPEC_STATE_PATH || path.join(CODEX_HOME, 'cron', 'github-issue-spec-state.json');
+import { pathToFileURL } from 'node:url';
+import { createAuthProvider, credentialEnv } from './lib/auth.mjs';
+import { createGitHubClient, createRequestStats, isRateLimitError, requestSummary, splitRepo } from './lib/github.mjs';
+import { codexArgs, codexHistory, codexLogTail, runCodex, summarizeCodexResult } from './lib/codex.mjs';
+import { formatCommand, handleShutdownSignals, isCancelled } from './lib/process.mjs';
+import { checkoutWorkBranch, cloneRepo, refreshRemoteToken, remoteBranchSha, removeWorkdir } from './lib/git.mjs';
+import { createDryRunStore, createRepoStateStore, defaultStatePath, migrateLegacyState } from './lib/state.mjs';
+import { readNewEvents } from './lib/cursor.mjs';
+import { createClaims, isLockBusyError, withLock } from './lib/lock.mjs';
+import { createRetryLedger } from './lib/ledger.mjs';
+import { createReporter } from './lib/report.mjs';
+import { createNotifier, failedRunNotification } from './lib/notify.mjs';
+import { hasLabel, labelNames } from './lib/labels.mjs';
+import { includeFromDir, includeFromGitHub, renderPrompt } from './lib/prompts.mjs';
+import { buildIssueContext } from './lib/context.mjs';
+import { acceptCommands, commandsFromEvents, createCommandQueue } from './lib/commands.mjs';
+import { findRepoConfig, legacyRepo, loadRepoConfigs } from './lib/config.mjs';
+import { logJson } from './lib/redact.mjs';
+import { createRunHistory, promptHash } from './lib/history.mjs';
+import { budgetSettings, createBudget, nextDeferred } from './lib/budget.mjs';
+
+const STATE_PATH = process.env.GITHUB_ISSUE_SPEC_STATE_PATH || defaultStatePath('github-issue-spec-state.json');
 const SPEC_LABEL = (process.env.MODULE_SPEC_LABEL || 'module-spec').toLowerCase();
 const FORCE_RESET = process.env.GITHUB_ISSUE_SPEC_RESET === '1';
-const CODEX_MODEL = process.env.CODEX_MODEL || '';
-const CODEX_OUTPUT_TAIL_BYTES = Number(process.env.CODEX_OUTPUT_TAIL_BYTES || 12000);
-const CODEX_BASE_PROMPT = process.env.CODEX_BASE_PROMPT || [
-  'You are an autonomous coding agent running in cron mode.',
+const DRY_RUN = process.env.CODEX_DRY_RUN === '1' || process.argv.includes('--dry-run');
+const CODEX_BASE_PROMPT = process.env.CODEX_BASE_PROMPT || '';
+const DEFAULT_BASE_PROMPT = 'You are an autonomous coding agent running in cron mode.';
+// `{{taskPrompt}}` of the issue-spec template. A custom CODEX_BASE_PROMPT or
+// repo `prompt` replaces all of it, as it did before there were templates.
+const DEFAULT_SPEC_PROMPT = [
+  DEFAULT_BASE_PROMPT,
   'Read the linked GitHub issue and implement the requested work in code.',
   'Treat "module spec" issues as implementation tasks unless the issue explicitly says docs-only.',
   'Do not stop at writing a planning/spec markdown file if the issue asks for actual product behavior.',
   'Open a PR back to the same repository.',
-  'If a PR cannot be created, explain precisely what is missing and exit non-zero.'
+  'If a PR cannot be created, explain precisely what is missing and exit non-zero.',
 ].join(' ');
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
-
-if (!GH_TOKEN) {
-  console.error(JSON.stringify({ error: 'GH_TOKEN missing' }));
-  process.exit(2);
-}
-
-function readState() {
-  try {
-    return JSON.parse(fs.readFileSync(STATE_PATH, 'utf8'));
-  } catch {
-    return null;
-  }
-}
-
-function writeState(state) {
-  fs.mkdirSync(path.dirname(STATE_PATH), { recursive: true });
-  fs.writeFileSync(STATE_PATH, JSON.stringify(state, null, 2) + '\n', { mode: 0o600 });
-}
-
-async function ghGet(url, extraHeaders = {}) {
-  const res = await fetch(url, {
-    headers: {
-      Authorization: `Bearer ${GH_TOKEN}`,
-      Accept: 'application/vnd.github+json',
-      'User-Agent': 'codex-cron',
-      ...extraHeaders,
-    },
-  });
 
-  if (!res.ok) {
-    const text = await res.text().catch(() => '');
-    throw new Error(`GitHub ${res.status} for ${url}: ${text.slice(0, 200)}`);
-  }
+const auth = createAuthProvider();
+const ghStats = createRequestStats();
 
-  return res.json();
+function createRepoContext(config, stats = ghStats) {
+  const repoStore = createRepoStateStore(STATE_PATH, config.repo);
+  const store = DRY_RUN ? createDryRunStore(repoStore) : repoStore;
+  const gh = createGitHubClient({ auth, repo: config.repo, stats });
+  // Dry runs take no locks, so they leave no files behind.
+  const lockPath = DRY_RUN ? null : `${store.path}.lock`;
+  return {
+    repo: config.repo,
+    gh,
+    label: String(config.label || SPEC_LABEL).toLowerCase(),
+    prompt: config.prompt || CODEX_BASE_PROMPT || DEFAULT_BASE_PROMPT,
+    taskPrompt: config.prompt || CODEX_BASE_PROMPT || DEFAULT_SPEC_PROMPT,
+    model: config.model,
+    store,
+    lockPath,
+    claims: createClaims({ dir: path.dirname(store.path), job: 'issue-spec', repo: config.repo, dryRun: DRY_RUN }),
+    ledger: createRetryLedger({ gh, store, lockPath }),
+    reporter: createReporter({ gh, job: 'issue-spec' }),
+    notifier: createNotifier({ store, lockPath, dryRun: DRY_RUN }),
+    commands: createCommandQueue({ store, lockPath }),
+    history: createRunHistory({ job: 'issue-spec', repo: config.repo, dryRun: DRY_RUN }),
+    budget: createBudget({ repo: config.repo, settings: budgetSettings(config.budget), dryRun: DRY_RUN }),
+    dryRun: DRY_RUN,
+  };
 }
 
-async function hasOpenPRForIssue(issueNumber) {
-  const q = `repo:${REPO} type:pr state:open "Fixes #${issueNumber}" in:body`;
-  const url = `${API}/search/issues?q=${encodeURIComponent(q)}&per_page=1`;
-  const data = await ghGet(url);
+async function hasOpenPRForIssue(ctx, issueNumber) {
+  const q = `repo:${ctx.repo} type:pr state:open "Fixes #${issueNumber}" in:body`;
+  const data = await ctx.gh.getJson(`/search/issues?q=${encodeURIComponent(q)}&per_page=1`);
   return (data?.total_count || 0) > 0;
 }
 
-async function listOpenModuleSpecIssues() {
-  const q = `repo:${REPO} type:issue state:open label:\"${SPEC_LABEL}\"`;
-  const url = `${API}/search/issues?q=${encodeURIComponent(q)}&per_page=50`;
-  const data = await ghGet(url);
+async function listOpenModuleSpecIssues(ctx) {
+  const q = `repo:${ctx.repo} type:issue state:open label:\"${ctx.label}\"`;
+  const data = await ctx.gh.getJson(`/search/issues?q=${encodeURIComponent(q)}&per_page=50`);
   const items = Array.isArray(data?.items) ? data.items : [];
   return items.map((issue) => ({
     number: issue.number,
@@ -93,21 +102,12 @@ async function listOpenModuleSpecIssues() {
     user: issue.user?.login,
     checked: checkboxChecked(issue.body || ''),
     updated_at: issue.updated_at,
-    labels: (issue.labels || []).map((l) => (typeof l === 'string' ? l : l.name)).filter(Boolean),
+    labels: labelNames(issue.labels),
   }));
 }
 
-function hasModuleSpecLabel(issue) {
-  const normalizeLabel = (v) => String(v || '')
-    .toLowerCase()
-    .trim()
-    .replace(/[_\s]+/g, '-')
-    .replace(/-+/g, '-');
-  const target = normalizeLabel(SPEC_LABEL);
-  const labels = (issue.labels || [])
-    .map((l) => (typeof l === 'string' ? l : l.name))
-    .filter(Boolean);
-  return labels.some((l) => normalizeLabel(l) === target);
+function hasModuleSpecLabel(ctx, issue) {
+  return hasLabel(issue.labels, ctx.label);
 }
 
 function checkboxChecked(issueBody) {
@@ -118,115 +118,41 @@ function checkboxChecked(issueBody) {
   return lines.some((l) => /^\s*[-*+]\s*\[x\]\s+/i.test(l) && /auto-?generate/i.test(l) && /\bpr\b/i.test(l));
 }
 
-function buildCodexPrompt(item) {
-  const labels = (item.labels || []).join(', ');
-  return [
-    CODEX_BASE_PROMPT,
-    '',
-    `Repository: ${REPO}`,
-    `Issue: #${item.number} - ${item.title}`,
-    `URL: ${item.url}`,
-    `Action: ${item.action || 'unknown'}`,
-    `Labels: ${labels}`,
-    '',
-    'Execution requirements:',
-    `- Ensure PR body includes: Fixes #${item.number}`,
-    '- Implement the feature/behavior described in the issue with concrete code changes.',
-    '- Include tests or validation updates when appropriate for the implementation.',
-    '- A docs/spec-only PR is not acceptable unless the issue explicitly requests documentation-only output.',
-    '- Keep changes minimal and focused to the issue request.',
-    '- Run relevant tests or checks before opening PR.',
-    '- Install repository dependencies before running lint/tests if needed.',
-    '- If a check tool is missing and cannot be installed in this run, proceed with best-effort checks and clearly note the limitation in the PR.'
-  ].join('\n');
+function issueBranchName(issueNumber) {
+  return `codex/issue-${issueNumber}`;
 }
 
-function runCodex(prompt) {
-  return new Promise((resolve) => {
-    const args = ['exec', '--skip-git-repo-check', '--dangerously-bypass-approvals-and-sandbox'];
-    if (CODEX_MODEL) {
-      args.push('--model', CODEX_MODEL);
-    }
-    args.push(prompt);
-
-    const codexEnv = { ...process.env };
-    if (OPENAI_API_KEY.trim()) {
-      codexEnv.OPENAI_API_KEY = OPENAI_API_KEY.trim();
-    } else {
-      delete codexEnv.OPENAI_API_KEY;
-    }
-
-    const child = spawn('codex', args, {
-      stdio: ['ignore', 'pipe', 'pipe'],
-      env: codexEnv,
-    });
-
-    let stdout = '';
-    let stderr = '';
-    child.stdout?.on('data', (chunk) => {
-      stdout += String(chunk);
-      if (stdout.length > CODEX_OUTPUT_TAIL_BYTES * 2) {
-        stdout = stdout.slice(-CODEX_OUTPUT_TAIL_BYTES);
-      }
-    });
-    child.stderr?.on('data', (chunk) => {
-      stderr += String(chunk);
-      if (stderr.length > CODEX_OUTPUT_TAIL_BYTES * 2) {
-        stderr = stderr.slice(-CODEX_OUTPUT_TAIL_BYTES);
-      }
-    });
-
-    child.on('exit', (code, signal) => {
-      resolve({
-        code: code ?? 1,
-        signal: signal ?? null,
-        stdoutTail: stdout ? stdout.slice(-CODEX_OUTPUT_TAIL_BYTES) : '',
-        stderrTail: stderr ? stderr.slice(-CODEX_OUTPUT_TAIL_BYTES) : '',
-      });
-    });
-  });
+// Prompt from the issue-spec template (lib/prompts.mjs), or issue-command
+// for `/codex fix`. `include` reads `{{include:...}}` files: from the clone
+// during a run, else through the API.
+function buildCodexPrompt(ctx, item, { branch = issueBranchName(item.number), include = includeFromGitHub(ctx.gh) } = {}) {
+  const command = item.command?.name === 'fix' ? item.command : null;
+  const vars = {
+    repo: ctx.repo,
+    basePrompt: ctx.prompt,
+    taskPrompt: ctx.taskPrompt,
+    branch,
+    ...(command ? {
+      command: { name: command.name, user: command.user, url: command.url, instructions: command.instructions },
+    } : {}),
+    issue: {
+      number: item.number,
+      title: item.title,
+      url: item.url,
+      action: item.action || 'unknown',
+      labels: (item.labels || []).join(', '),
+      user: item.user,
+      context: () => buildIssueContext(ctx.gh, item.number),
+    },
+  };
+  return renderPrompt(command ? 'issue-command' : 'issue-spec', ctx.repo, item.labels || [], vars, { include });
 }
 
-async function collectActionableEvents() {
-  const state = readState();
-  const lastEventId = FORCE_RESET ? null : state?.lastEventId || null;
-
-  const events = await ghGet(EVENTS_URL);
-  const newestEventId = events?.[0]?.id || null;
-
-  if (!newestEventId) {
-    return { newestEventId: null, initialized: false, reset: false, matched: [], actionable: [] };
-  }
-
-  let initialized = false;
-  let reset = FORCE_RESET;
-  if (!lastEventId) {
-    writeState({ lastEventId: newestEventId, ts: new Date().toISOString() });
-    initialized = true;
-  }
-
-  const newOnes = [];
-  if (lastEventId && String(lastEventId) !== String(newestEventId)) {
-    for (const ev of events) {
-      if (String(ev.id) === String(lastEventId)) {
-        break;
-      }
-      newOnes.push(ev);
-    }
-  }
-
-  if (lastEventId && newOnes.length === events.length) {
-    writeState({ lastEventId: newestEventId, ts: new Date().toISOString(), reset: true });
-    reset = true;
-  }
-
-  newOnes.reverse();
-
+async function evaluateIssueEvents(ctx, events) {
   const matched = [];
   const actionable = [];
-  const actionableByIssue = new Map();
 
-  for (const ev of newOnes) {
+  for (const ev of events) {
     if (ev.type !== 'IssuesEvent') {
       continue;
     }
@@ -236,7 +162,7 @@ async function collectActionableEvents() {
       continue;
     }
 
-    if (!hasModuleSpecLabel(issue)) {
+    if (!hasModuleSpecLabel(ctx, issue)) {
       continue;
     }
 
@@ -251,7 +177,7 @@ async function collectActionableEvents() {
       user: issue.user?.login,
       checked,
       updated_at: issue.updated_at,
-      labels: (issue.labels || []).map((l) => (typeof l === 'string' ? l : l.name)).filter(Boolean),
+      labels: labelNames(issue.labels),
     };
 
     matched.push(item);
@@ -264,18 +190,43 @@ async function collectActionableEvents() {
     );
 
     if (checked && canActOnAction) {
+      // If the open-PR check fails the issue is skipped this tick rather than
+      // assumed PR-less, so a flaky search cannot start a duplicate agent.
       let prAlreadyOpen = false;
+      let prCheckError = null;
       try {
-        prAlreadyOpen = await hasOpenPRForIssue(issue.number);
-      } catch {
-        prAlreadyOpen = false;
+        prAlreadyOpen = await hasOpenPRForIssue(ctx, issue.number);
+      } catch (err) {
+        if (isRateLimitError(err)) throw err;
+        prCheckError = String(err);
       }
-      actionable.push({ ...item, prAlreadyOpen });
+      actionable.push({ ...item, prAlreadyOpen, ...(prCheckError ? { prCheckError } : {}) });
     }
   }
 
+  return { matched, actionable };
+}
+
+async function collectActionableEvents(ctx) {
+  const state = ctx.store.read();
+  const lastEventId = FORCE_RESET ? null : state.lastEventId || null;
+
+  const cursor = await readNewEvents(ctx.gh, ctx.repo, lastEventId, { etag: state.eventsEtag, lastEventAt: state.lastEventAt });
+  const newestEventId = cursor.newestEventId;
+
+  if (!newestEventId) {
+    return { newestEventId: null, initialized: false, reset: false, matched: [], actionable: [], commands: [], cursor, deferredChecked: [] };
+  }
+
+  const initialized = cursor.initialized;
+  const reset = FORCE_RESET || cursor.reset;
+
+  const { matched, actionable } = await evaluateIssueEvents(ctx, cursor.events);
+  const commands = await handleCommands(ctx, cursor.events);
+  const actionableByIssue = new Map();
+
   for (const item of actionable) {
-    if (item.prAlreadyOpen) continue;
+    if (item.prAlreadyOpen || item.prCheckError) continue;
     actionableByIssue.set(String(item.number), item);
   }
 
@@ -283,8 +234,9 @@ async function collectActionableEvents() {
   // is outside the events cursor window.
   let sweep = [];
   try {
-    sweep = await listOpenModuleSpecIssues();
-  } catch {
+    sweep = await listOpenModuleSpecIssues(ctx);
+  } catch (err) {
+    if (isRateLimitError(err)) throw err;
     sweep = [];
   }
   for (const issue of sweep) {
@@ -292,9 +244,10 @@ async function collectActionableEvents() {
     if (actionableByIssue.has(String(issue.number))) continue;
     let prAlreadyOpen = false;
     try {
-      prAlreadyOpen = await hasOpenPRForIssue(issue.number);
-    } catch {
-      prAlreadyOpen = false;
+      prAlreadyOpen = await hasOpenPRForIssue(ctx, issue.number);
+    } catch (err) {
+      if (isRateLimitError(err)) throw err;
+      continue;
     }
     if (prAlreadyOpen) continue;
     actionableByIssue.set(String(issue.number), {
@@ -305,51 +258,524 @@ async function collectActionableEvents() {
     });
   }
 
+  // Issues the budget held back that the sweep did not return.
+  const deferredChecked = Object.keys(state.budgetDeferred || {}).map(Number).filter((n) => n > 0);
+  const sweptNumbers = new Set(sweep.map((issue) => issue.number));
+  for (const item of await budgetDeferredIssues(ctx, deferredChecked.filter((n) => !sweptNumbers.has(n)))) {
+    if (!actionableByIssue.has(String(item.number))) actionableByIssue.set(String(item.number), item);
+  }
+
   const filteredActionable = Array.from(actionableByIssue.values());
 
-  writeState({ lastEventId: newestEventId, ts: new Date().toISOString() });
+  // The cursor only moves once evaluation finished; a run stopped by the rate
+  // limit re-reads the same events next tick. Only this write takes the state
+  // lock; a run whose cursor another run moved meanwhile read the same events
+  // and drops its evaluation (`superseded`).
+  const saved = await withLock(ctx.lockPath, () => {
+    if ((ctx.store.read().lastEventId || null) !== (state.lastEventId || null)) return false;
+    ctx.store.update({ lastEventId: newestEventId, lastEventAt: cursor.newestEventAt, eventsEtag: cursor.etag, reset: undefined });
+    return true;
+  });
 
   return {
+    superseded: !saved,
     newestEventId,
     initialized,
     reset,
     matched,
     actionable: filteredActionable,
+    commands,
+    cursor,
+    deferredChecked,
+  };
+}
+
+// Budget-deferred issues that are still open, labeled, checked and without
+// an open PR, as run items.
+async function budgetDeferredIssues(ctx, numbers) {
+  const items = [];
+  for (const number of numbers) {
+    let issue;
+    let prAlreadyOpen;
+    try {
+      issue = await ctx.gh.getJson(`/repos/${ctx.repo}/issues/${number}`);
+      if (issue.state !== 'open' || issue.pull_request) continue;
+      if (!hasModuleSpecLabel(ctx, issue) || !checkboxChecked(issue.body || '')) continue;
+      prAlreadyOpen = await hasOpenPRForIssue(ctx, number);
+    } catch (err) {
+      if (isRateLimitError(err)) throw err;
+      continue;
+    }
+    if (prAlreadyOpen) continue;
+    items.push({
+      id: `deferred-${number}`,
+      action: 'deferred',
+      number,
+      title: issue.title,
+      url: issue.html_url,
+      user: issue.user?.login,
+      checked: true,
+      updated_at: issue.updated_at,
+      labels: labelNames(issue.labels),
+      prAlreadyOpen,
+    });
+  }
+  return items;
+}
+
+// Replies to and queues the `/codex` commands on issues (not PRs) in `events`.
+// Runs without the state lock; each comment is claimed first (lib/commands.mjs).
+function handleCommands(ctx, events) {
+  return acceptCommands({
+    gh: ctx.gh,
+    queue: ctx.commands,
+    claims: ctx.claims,
+    commands: commandsFromEvents(events).filter((c) => !c.pullRequest),
+    keyFor: (number) => `issue-${number}`,
+    dryRun: ctx.dryRun,
+  });
+}
+
+// Queued `/codex` runs (lib/commands.mjs) as run items. Commands on issues
+// that are closed are dropped; the rest go before this tick's actionable
+// issues, which are not run a second time.
+async function withCommandRuns(ctx, actionable, skipped) {
+  const items = [];
+  const dropped = [];
+  for (const entry of ctx.commands.pending()) {
+    let issue;
+    try {
+      issue = await ctx.gh.getJson(`/repos/${ctx.repo}/issues/${entry.number}`);
+    } catch (err) {
+      if (isRateLimitError(err)) throw err;
+      if (err?.status !== 404) continue;
+      issue = { state: 'missing' };
+    }
+    if (issue.state !== 'open') {
+      dropped.push(entry.id);
+      skipped.push({ issue: entry.number, command: entry.name, reason: 'issue_not_open' });
+      continue;
+    }
+    items.push({
+      id: entry.id,
+      action: 'command',
+      number: issue.number,
+      title: issue.title,
+      url: issue.html_url,
+      user: issue.user?.login,
+      labels: labelNames(issue.labels),
+      command: entry,
+    });
+  }
+  await ctx.commands.complete(dropped);
+  const commanded = new Set(items.map((item) => item.number));
+  return [...items, ...actionable.filter((item) => !commanded.has(item.number))];
+}
+
+async function findIssuePR(ctx, branch, issueNumber) {
+  const { owner } = splitRepo(ctx.repo);
+  const prs = await ctx.gh.getJson(`/repos/${ctx.repo}/pulls?state=open&head=${encodeURIComponent(`${owner}:${branch}`)}&per_page=10`);
+  const list = Array.isArray(prs) ? prs : [];
+  const fixes = new RegExp(`\\bfixes\\s+#${issueNumber}\\b`, 'i');
+  const pr = list.find((p) => fixes.test(p.body || '')) || list[0] || null;
+  return pr ? { number: pr.number, url: pr.html_url, fixesIssue: fixes.test(pr.body || '') } : null;
+}
+
+// What the run left behind on GitHub. A zero exit code alone is not enough:
+// the agent may have committed locally and never pushed, or opened the PR
+// without the closing keyword.
+async function verifyIssueRun(ctx, repoDir, work, issueNumber) {
+  const headSha = await remoteBranchSha(repoDir, work.branch).catch(() => null);
+  const branchPushed = Boolean(headSha) && headSha !== work.startSha;
+  const pr = await findIssuePR(ctx, work.branch, issueNumber).catch(() => null);
+  let verifyError = null;
+  if (!branchPushed) verifyError = 'branch_not_pushed';
+  else if (!pr) verifyError = 'pr_missing';
+  else if (!pr.fixesIssue) verifyError = 'pr_missing_fixes';
+  return { branchPushed, headSha, pr, verified: !verifyError, ...(verifyError ? { verifyError } : {}) };
+}
+
+function failureReason(run) {
+  if (run.error) return run.error;
+  if (run.timedOut) return 'codex_timeout';
+  if (run.signal) return `codex_signal_${run.signal}`;
+  if (run.exitCode !== 0) return `codex_exit_${run.exitCode}`;
+  return run.verifyError || null;
+}
+
+async function planIssueRun(ctx, item) {
+  const branch = issueBranchName(item.number);
+  const rendered = await buildCodexPrompt(ctx, item, { branch });
+  return {
+    issue: item.number,
+    ...(item.command ? { command: item.command.name } : {}),
+    branch,
+    template: rendered.template,
+    prompt: rendered.prompt,
+    commands: [
+      formatCommand('git', ['clone', '--no-tags', '--depth', '50', `https://github.com/${ctx.repo}.git`, '<tmpdir>']),
+      formatCommand('git', ['checkout', '-b', branch]),
+      formatCommand('codex', codexArgs('<prompt>', { model: ctx.model })),
+    ],
   };
 }
 
-(async () => {
-  const result = await collectActionableEvents();
+function runStatus(run) {
+  if (run.cancelled) return 'cancelled';
+  return failureReason(run) ? 'failed' : 'succeeded';
+}
+
+function reportIssueRun(ctx, result, logTail) {
+  return ctx.reporter.update(result.issue, `issue-${result.issue}`, {
+    status: runStatus(result),
+    command: result.command,
+    exitCode: result.exitCode,
+    timedOut: result.timedOut,
+    branch: result.branch,
+    prUrl: result.pr?.url,
+    verifyError: result.verifyError,
+    attempt: result.attempt,
+    error: result.error,
+    logTail,
+  });
+}
+
+async function runCodexForIssues(ctx, items, skipped = [], planned = []) {
+  // Gate everything first so the issues that will run this tick can be marked
+  // queued before the first (possibly long) run starts.
+  const queue = [];
+  for (const item of items) {
+    const key = `issue-${item.number}`;
+    // A maintainer's command overrides backoff and dead letter; `retry`
+    // also clears them. `/codex stop` holds automatic runs only.
+    if (item.command?.name === 'retry' && !ctx.dryRun) await ctx.ledger.clear(key);
+    const stopped = item.command ? null : ctx.commands.stopped(key);
+    if (stopped) {
+      skipped.push({ issue: item.number, reason: 'stopped', stoppedBy: stopped.by });
+      continue;
+    }
+    const gate = item.command ? { eligible: true } : await ctx.ledger.check(key, item.labels);
+    if (!gate.eligible) {
+      skipped.push({ issue: item.number, ...gate });
+      continue;
+    }
+    // Maintainer commands may use the reserve; new-issue runs may not.
+    const budget = ctx.budget.check({ pending: queue.length, lowPriority: !item.command });
+    if (!budget.eligible) {
+      skipped.push({ issue: item.number, ...(item.command ? { command: item.command.name } : {}), ...budget });
+      continue;
+    }
+    if (ctx.dryRun) {
+      planned.push(await planIssueRun(ctx, item));
+      await ctx.budget.record(null);
+      continue;
+    }
+    queue.push(item);
+  }
+  for (const item of queue) {
+    await ctx.reporter.update(item.number, `issue-${item.number}`, { status: 'queued' }, { keepRunning: true });
+  }
+
+  const codexRuns = [];
+  const commandsDone = [];
+  for (const item of queue) {
+    if (isCancelled()) {
+      skipped.push({ issue: item.number, reason: 'cancelled' });
+      continue;
+    }
+    // Earlier runs this tick may have used up a token cap.
+    const budget = ctx.budget.check({ lowPriority: !item.command });
+    if (!budget.eligible) {
+      skipped.push({ issue: item.number, ...(item.command ? { command: item.command.name } : {}), ...budget });
+      continue;
+    }
+    const claimKey = `issue-${item.number}`;
+    const claim = ctx.claims.tryClaim(claimKey);
+    if (!claim) {
+      skipped.push({ issue: item.number, reason: 'claimed', holder: ctx.claims.holder(claimKey) });
+      continue;
+    }
+    const branch = issueBranchName(item.number);
+    await ctx.reporter.update(item.number, claimKey, { status: 'running', branch });
+    let repoDir = null;
+    let result;
+    let logTail = '';
+    let hash = null;
+    let startSha = null;
+    const startedAt = Date.now();
+    try {
+      repoDir = await cloneRepo({
+        repo: ctx.repo,
+        token: await ctx.gh.getToken(),
+        identity: await auth.getIdentity(ctx.repo),
+        prefix: '/tmp/codex-issue-spec-',
+      });
+      const work = await checkoutWorkBranch(repoDir, branch);
+      startSha = work.startSha;
+      const { prompt } = await buildCodexPrompt(ctx, item, { branch, include: includeFromDir(repoDir) });
+      hash = promptHash(prompt);
+      // Codex pushes with the token in origin and its env; both are fetched
+      // now, and origin again for the check afterwards, so a long run does not
+      // outlive them (lib/auth.mjs).
+      const env = await credentialEnv(auth, ctx.repo);
+      await refreshRemoteToken(repoDir, ctx.repo, env.GH_TOKEN);
+      const run = await runCodex(prompt, { cwd: repoDir, model: ctx.model, env });
+      await refreshRemoteToken(repoDir, ctx.repo, await ctx.gh.getToken());
+      const verification = await verifyIssueRun(ctx, repoDir, work, item.number);
+      logTail = codexLogTail(run);
+      result = {
+        issue: item.number,
+        branch,
+        ...(work.reused ? { branchReused: true } : {}),
+        exitCode: run.code,
+        signal: run.signal,
+        ...(run.timedOut ? { timedOut: true } : {}),
+        ...(run.cancelled ? { cancelled: true } : {}),
+        ...verification,
+        ...(run.result ? { codex: summarizeCodexResult(run.result) } : {}),
+        ...(run.code !== 0 || run.stderrTail ? { codexStderrTail: run.stderrTail } : {}),
+        // The raw tail only when the event stream gave nothing to go on.
+        ...(!run.result && (run.code !== 0 || !verification.verified) ? { codexStdoutTail: run.stdoutTail } : {}),
+      };
+    } catch (err) {
+      result = {
+        issue: item.number,
+        branch,
+        exitCode: 1,
+        signal: null,
+        verified: false,
+        verifyError: 'run_failed',
+        error: String(err),
+      };
+    } finally {
+      removeWorkdir(repoDir);
+      claim.release();
+    }
+    result.durationMs = Date.now() - startedAt;
+    if (hash) result.promptHash = hash;
+    if (startSha) result.startSha = startSha;
+    await ctx.budget.record(result.codex?.usage);
+    if (item.command) {
+      result.command = { name: item.command.name, user: item.command.user, url: item.command.url };
+      // A command whose run was cut short by shutdown stays queued.
+      if (!result.cancelled) commandsDone.push(item.command.id);
+    }
+    // A run cut short by shutdown says nothing about the issue; it is not counted.
+    const attempt = result.cancelled ? null : await ctx.ledger.recordOutcome(claimKey, item.number, {
+      reason: failureReason(result),
+      stderrTail: result.codexStderrTail || result.error,
+    });
+    if (attempt) result.attempt = attempt;
+    const report = await reportIssueRun(ctx, result, logTail);
+    if (report?.error) result.reportError = report.error;
+    codexRuns.push(result);
+  }
+  await ctx.commands.complete(commandsDone);
+  return codexRuns;
+}
 
-  const summary = {
-    statePath: STATE_PATH,
+async function notifyFailedRuns(ctx, items, codexRuns) {
+  const urls = new Map(items.map((item) => [item.number, item.url]));
+  return ctx.notifier.notify(codexRuns.filter((run) => runStatus(run) === 'failed').map((run) => failedRunNotification({
+    job: 'issue-spec',
+    repo: ctx.repo,
+    key: `issue-${run.issue}`,
+    label: `issue #${run.issue}`,
+    url: run.pr?.url || urls.get(run.issue) || null,
+    reason: failureReason(run),
+    attempt: run.attempt,
+  })));
+}
+
+// Run history records (lib/history.mjs) for this tick's runs and skips.
+function issueHistory(codexRuns, skipped) {
+  return [
+    ...codexRuns.map((run) => ({
+      number: run.issue,
+      kind: run.command ? 'command' : 'issue',
+      status: runStatus(run),
+      reason: failureReason(run) || undefined,
+      exitCode: run.exitCode,
+      timedOut: run.timedOut,
+      durationMs: run.durationMs,
+      promptHash: run.promptHash,
+      branch: run.branch,
+      headShaBefore: run.startSha,
+      headShaAfter: run.headSha,
+      prUrl: run.pr?.url,
+      ...codexHistory(run.codex),
+      command: run.command?.name,
+      attempts: run.attempt?.attempts,
+    })),
+    ...skipped.map((entry) => ({
+      number: entry.issue,
+      kind: entry.command ? 'command' : 'issue',
+      status: 'skipped',
+      reason: entry.reason,
+      cap: entry.cap,
+      command: entry.command,
+    })),
+  ];
+}
+
+// Issues the budget held back, carried to the next tick. `considered`: the
+// issues this tick looked at. Returns the `budget` summary.
+async function saveBudgetDeferred(ctx, skipped, considered) {
+  const deferred = skipped.filter((entry) => entry.reason === 'budget').map((entry) => ({ number: entry.issue, cap: entry.cap }));
+  await withLock(ctx.lockPath, () => {
+    const previous = ctx.store.read().budgetDeferred || {};
+    if (!deferred.length && !Object.keys(previous).length) return;
+    ctx.store.update({ budgetDeferred: nextDeferred(previous, deferred, considered) });
+  });
+  return { ...ctx.budget.summary(), deferred: [...new Set(deferred.map((d) => d.number))] };
+}
+
+async function runRepo(config) {
+  const ctx = createRepoContext(config);
+  const deadLetterCleared = await ctx.ledger.clearFromEnv();
+  const result = await collectActionableEvents(ctx);
+  if (result.superseded) return { repo: ctx.repo, skipped: 'superseded', commands: result.commands };
+  const skipped = [];
+  const planned = [];
+  const items = await withCommandRuns(ctx, result.actionable, skipped);
+  const codexRuns = await runCodexForIssues(ctx, items, skipped, planned);
+  const budget = await saveBudgetDeferred(ctx, skipped, new Set([...result.deferredChecked, ...items.map((item) => item.number)]));
+  const notifications = await notifyFailedRuns(ctx, items, codexRuns);
+  const history = await ctx.history.record(issueHistory(codexRuns, skipped));
+
+  return {
+    repo: ctx.repo,
+    statePath: ctx.store.path,
     newestEventId: result.newestEventId,
     initialized: result.initialized,
     reset: result.reset,
+    eventPages: result.cursor.pages,
+    eventsNotModified: result.cursor.notModified,
+    ...(result.cursor.gap ? { gap: result.cursor.gap } : {}),
     events: result.matched,
     actionable: result.actionable,
-    codexRuns: [],
+    commands: result.commands,
+    codexRuns,
+    skipped,
+    budget,
+    deadLetter: ctx.ledger.list(),
+    ...(deadLetterCleared.length ? { deadLetterCleared } : {}),
+    ...(notifications ? { notifications } : {}),
+    ...(history?.error ? { historyError: history.error } : {}),
+    ...(ctx.dryRun ? { planned, stateChanges: ctx.store.changes } : {}),
   };
+}
 
-  for (const item of result.actionable) {
-    const prompt = buildCodexPrompt(item);
-    const run = await runCodex(prompt);
-    summary.codexRuns.push({
-      issue: item.number,
-      exitCode: run.code,
-      signal: run.signal,
-      ...(run.code !== 0 || run.stderrTail ? { codexStderrTail: run.stderrTail } : {}),
-      ...(run.code !== 0 ? { codexStdoutTail: run.stdoutTail } : {}),
-    });
+// Webhook entrypoint (api/server.js): same evaluation as the cron path, but the
+// events arrive pushed instead of polled, so the cursor and sweep are untouched.
+export async function handleWebhookEvents(events, repo) {
+  if (!auth.configured) throw new Error('GH_TOKEN is not set in environment');
+
+  const config = findRepoConfig(loadRepoConfigs(), repo);
+  if (!config) {
+    return { job: 'issue-spec', repo, ignored: 'repository not configured' };
+  }
+  // Fresh request stats per delivery: the server is long-lived and one
+  // exhausted budget must not block deliveries after the reset.
+  const stats = createRequestStats();
+  const ctx = createRepoContext(config, stats);
+
+  const { matched, actionable } = await evaluateIssueEvents(ctx, events);
+  const commands = await handleCommands(ctx, events);
+  const toRun = actionable.filter((item) => !item.prAlreadyOpen && !item.prCheckError);
+  const skipped = [];
+  const items = await withCommandRuns(ctx, toRun, skipped);
+  const codexRuns = await runCodexForIssues(ctx, items, skipped);
+  const budget = await saveBudgetDeferred(ctx, skipped, new Set(items.map((item) => item.number)));
+  const notifications = await notifyFailedRuns(ctx, items, codexRuns);
+  const history = await ctx.history.record(issueHistory(codexRuns, skipped));
+
+  return {
+    job: 'issue-spec',
+    repo: ctx.repo,
+    events: matched,
+    actionable: toRun,
+    commands,
+    codexRuns,
+    skipped,
+    budget,
+    ...(notifications ? { notifications } : {}),
+    ...(history?.error ? { historyError: history.error } : {}),
+    github: requestSummary(stats),
+  };
+}
+
+// Render CLI entrypoint (render-prompt.mjs): the prompt a run for issue
+// `number` would get right now, with includes read from the default branch.
+export async function renderIssuePrompt(repo, number) {
+  const config = findRepoConfig(loadRepoConfigs(), repo) || { repo };
+  const ctx = createRepoContext(config);
+  const issue = await ctx.gh.getJson(`/repos/${ctx.repo}/issues/${number}`);
+  const item = {
+    number: issue.number,
+    title: issue.title,
+    url: issue.html_url,
+    user: issue.user?.login,
+    labels: labelNames(issue.labels),
+  };
+  return buildCodexPrompt(ctx, item);
+}
+
+async function main() {
+  if (!auth.configured) {
+    logJson({ error: 'GH_TOKEN missing' }, 'stderr');
+    process.exit(2);
   }
 
-  console.log(JSON.stringify(summary));
+  const configs = loadRepoConfigs();
+  if (!DRY_RUN) migrateLegacyState(STATE_PATH, legacyRepo());
+  const shutdownSignal = handleShutdownSignals();
+
+  // Each repository runs independently; one failing does not stop the rest.
+  // An exhausted GitHub budget does: the remaining repos are listed as skipped.
+  // A repository whose state lock is held by another run is skipped this tick.
+  const summary = { status: 'ok', ...(DRY_RUN ? { dryRun: true } : {}), repos: [] };
+  for (const config of configs) {
+    if (shutdownSignal()) {
+      summary.repos.push({ repo: config.repo, skipped: 'cancelled' });
+      continue;
+    }
+    if (ghStats.exhausted) {
+      summary.repos.push({ repo: config.repo, skipped: 'rate_limited' });
+      continue;
+    }
+    try {
+      summary.repos.push(await runRepo(config));
+    } catch (err) {
+      if (isLockBusyError(err)) {
+        summary.repos.push({ repo: config.repo, skipped: 'locked', holder: err.holder });
+        continue;
+      }
+      summary.repos.push({ repo: config.repo, error: String(err), ...(isRateLimitError(err) ? { rateLimited: true } : {}) });
+    }
+  }
+
+  const failed = summary.repos.some((r) => (r.error && !r.rateLimited) || (r.codexRuns || []).some((run) => run.exitCode !== 0 || !run.verified));
+  if (shutdownSignal()) {
+    summary.status = 'cancelled';
+    summary.signal = shutdownSignal();
+  } else if (failed) {
+    summary.status = 'failed';
+  } else if (ghStats.exhausted) {
+    summary.status = 'rate_limited';
+  }
+  summary.github = requestSummary(ghStats);
+
+  logJson(summary);
 
-  const failedRun = summary.codexRuns.find((r) => r.exitCode !== 0);
-  if (failedRun) {
+  if (failed || shutdownSignal()) {
     process.exit(1);
   }
-})().catch((err) => {
-  console.error(JSON.stringify({ error: String(err) }));
-  process.exit(1);
-});
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((err) => {
+    logJson({ error: String(err) }, 'stderr');
+    process.exit(1);
+  });
+}
@@ -0,0 +1,153 @@
+/**
+ * GitHub credentials: a static token, or a GitHub App installation.
+ *
+ * Env vars:
+ * - GH_TOKEN: personal/static token (used when no App is configured)
+ * - GITHUB_APP_ID + GITHUB_APP_PRIVATE_KEY (PEM; literal `\n` allowed) or
+ *   GITHUB_APP_PRIVATE_KEY_PATH: authenticate as a GitHub App
+ * - GITHUB_APP_INSTALLATION_ID (optional): skip the per-repo installation lookup
+ *
+ * App mode signs a short-lived JWT, exchanges it for an installation access
+ * token per repository owner, and refreshes that token shortly before it
+ * expires. Commits and comments then come from `<app-slug>[bot]`.
+ *
+ * Installation tokens last an hour. Child processes cannot be handed a new one
+ * mid-run, so `credentialEnv` asks for a token with CHILD_TOKEN_VALIDITY_MS
+ * left; call it right before each child (Codex, post-check, push) rather than
+ * once per item.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { DEFAULT_API_URL } from './github.mjs';
+import { addSecret } from './redact.mjs';
+
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+export const CHILD_TOKEN_VALIDITY_MS = 50 * 60 * 1000;
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+export function signAppJwt(appId, privateKey, nowMs = Date.now()) {
+  const now = Math.floor(nowMs / 1000);
+  // iat is backdated to tolerate clock drift; GitHub caps exp at 10 minutes.
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ iat: now - 60, exp: now + 540, iss: String(appId) }));
+  const signature = crypto.createSign('RSA-SHA256').update(`${header}.${payload}`).sign(privateKey);
+  return `${header}.${payload}.${base64url(signature)}`;
+}
+
+function readPrivateKey(env) {
+  if (env.GITHUB_APP_PRIVATE_KEY) return env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n');
+  if (env.GITHUB_APP_PRIVATE_KEY_PATH) return fs.readFileSync(env.GITHUB_APP_PRIVATE_KEY_PATH, 'utf8');
+  return '';
+}
+
+export function createAuthProvider(env = process.env) {
+  const appId = env.GITHUB_APP_ID || '';
+  if (!appId) return createStaticTokenProvider(env.GH_TOKEN);
+  return createAppProvider({
+    appId,
+    privateKey: readPrivateKey(env),
+    installationId: env.GITHUB_APP_INSTALLATION_ID || '',
+    apiUrl: String(env.GITHUB_API_URL || DEFAULT_API_URL).replace(/\/+$/, ''),
+  });
+}
+
+export function createStaticTokenProvider(token) {
+  return {
+    kind: 'token',
+    configured: Boolean(token),
+    async getToken() {
+      if (!token) throw new Error('GH_TOKEN is not set in environment');
+      return token;
+    },
+    // Commits keep whatever git identity the environment already has.
+    async getIdentity() {
+      return null;
+    },
+  };
+}
+
+function createAppProvider({ appId, privateKey, installationId, apiUrl }) {
+  const installationsByOwner = new Map();
+  const tokensByInstallation = new Map();
+  let appInfo = null;
+
+  async function appRequest(urlPath, { method = 'GET' } = {}) {
+    if (!privateKey) throw new Error('GITHUB_APP_PRIVATE_KEY or GITHUB_APP_PRIVATE_KEY_PATH is required with GITHUB_APP_ID');
+    const res = await fetch(`${apiUrl}${urlPath}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${signAppJwt(appId, privateKey)}`,
+        Accept: 'application/vnd.github+json',
+        'X-GitHub-Api-Version': '2022-11-28',
+        'User-Agent': 'codex-cron',
+      },
+    });
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw new Error(`GitHub App ${res.status} for ${urlPath}: ${text.slice(0, 200)}`);
+    }
+    return res.json();
+  }
+
+  async function resolveInstallationId(repo) {
+    if (installationId) return installationId;
+    const owner = String(repo || '').split('/')[0].toLowerCase();
+    if (!owner) throw new Error('GitHub App auth needs a repository to find its installation');
+    if (!installationsByOwner.has(owner)) {
+      const installation = await appRequest(`/repos/${repo}/installation`);
+      installationsByOwner.set(owner, String(installation.id));
+    }
+    return installationsByOwner.get(owner);
+  }
+
+  // `minValidityMs`: how long the token must still be valid; a cached one
+  // closer to expiry is replaced.
+  async function getToken(repo, { minValidityMs = REFRESH_MARGIN_MS } = {}) {
+    const id = await resolveInstallationId(repo);
+    const cached = tokensByInstallation.get(id);
+    if (cached && cached.expiresAt - Date.now() > minValidityMs) return cached.token;
+
+    const res = await appRequest(`/app/installations/${id}/access_tokens`, { method: 'POST' });
+    addSecret(res.token);
+    tokensByInstallation.set(id, { token: res.token, expiresAt: new Date(res.expires_at).getTime() });
+    return res.token;
+  }
+
+  async function getIdentity() {
+    if (!appInfo) {
+      const app = await appRequest('/app');
+      const login = `${app.slug}[bot]`;
+      // The bot user id is what links commits to the app's avatar on GitHub.
+      const user = await fetch(`${apiUrl}/users/${encodeURIComponent(login)}`, {
+        headers: { Accept: 'application/vnd.github+json', 'User-Agent': 'codex-cron' },
+      }).then((r) => (r.ok ? r.json() : null)).catch(() => null);
+      appInfo = {
+        name: login,
+        email: user?.id ? `${user.id}+${login}@users.noreply.github.com` : `${login}@users.noreply.github.com`,
+      };
+    }
+    return appInfo;
+  }
+
+  return { kind: 'app', configured: true, getToken, getIdentity };
+}
+
+// Env for child processes that talk to GitHub themselves (Codex, `gh`, git
+// push, ready-to-stage hooks): a repo token that outlives the child and, in
+// App mode, the bot's git identity.
+export async function credentialEnv(auth, repo, baseEnv = process.env) {
+  const token = await auth.getToken(repo, { minValidityMs: CHILD_TOKEN_VALIDITY_MS });
+  const env = { ...baseEnv, GH_TOKEN: token, GITHUB_TOKEN: token };
+  const identity = await auth.getIdentity(repo);
+  if (identity) {
+    env.GIT_AUTHOR_NAME = identity.name;
+    env.GIT_AUTHOR_EMAIL = identity.email;
+    env.GIT_COMMITTER_NAME = identity.name;
+    env.GIT_COMMITTER_EMAIL = identity.email;
+  }
+  return env;
+}
@@ -0,0 +1,188 @@
+/**
+ * Model usage budgets: token caps per day and per month, for each repository
+ * and for all of them together, plus a cap on Codex runs per repository per
+ * tick.
+ *
+ * Caps are set in CODEX_CRON_CONFIG:
+ *   "budget": { "dailyTokens": 20000000, "monthlyTokens": 300000000, "issueReservePercent": 20 },
+ *   "defaults": { "budget": { "dailyTokens": 5000000, "maxRunsPerTick": 3 } },
+ *   "repos": [{ "repo": "owner/name", "budget": { "monthlyTokens": 50000000 } }]
+ * The top-level `budget` caps all repositories together; `budget` under
+ * `defaults` or a repository caps one repository. CODEX_BUDGET_DAILY_TOKENS /
+ * CODEX_BUDGET_MONTHLY_TOKENS set the overall caps and CODEX_MAX_RUNS_PER_TICK
+ * the per-repository run cap when the file does not. Unset caps are unlimited.
+ *
+ * Usage is what Codex reports in its event stream (lib/codex.mjs):
+ * `usage.totalTokens`, input plus output, cached input counted in full. Runs
+ * without an event stream count as zero. Totals are kept per UTC day and month
+ * in $CODEX_AUTH_DIR/cron/usage.json, shared by both jobs and the webhook
+ * server.
+ *
+ * A run starts only while every cap is below its limit, so the run that
+ * crosses a cap still finishes. New-issue runs (the lowest priority) stop
+ * earlier, at `100 - issueReservePercent` percent of each token cap (default
+ * 20), which keeps the rest for CI fixes and review threads.
+ *
+ * Env vars:
+ * - CODEX_BUDGET_DAILY_TOKENS (optional; overall daily cap)
+ * - CODEX_BUDGET_MONTHLY_TOKENS (optional; overall monthly cap)
+ * - CODEX_MAX_RUNS_PER_TICK (optional; Codex runs per repository per tick)
+ * - CODEX_BUDGET_ISSUE_RESERVE_PERCENT (optional, default: 20)
+ * - CODEX_USAGE_PATH (optional, default: $CODEX_AUTH_DIR/cron/usage.json)
+ */
+
+import { readConfigFile } from './config.mjs';
+import { withLock } from './lock.mjs';
+import { createStateStore, defaultStatePath } from './state.mjs';
+
+export const USAGE_PATH = process.env.CODEX_USAGE_PATH || defaultStatePath('usage.json');
+const KEEP_DAYS = 62;
+const KEEP_MONTHS = 24;
+
+function cap(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`"${name}" must be a non-negative number`);
+  return n;
+}
+
+function budgetObject(value, name) {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) throw new Error(`"${name}" must be an object`);
+  return value;
+}
+
+// `{ repo: { dailyTokens, monthlyTokens, maxRunsPerTick }, overall: {
+// dailyTokens, monthlyTokens }, issueReservePercent }` from the repo's
+// `budget` value and the config file's top-level `budget`.
+export function budgetSettings(value, env = process.env, overallValue = readConfigFile(env)?.budget) {
+  const repo = budgetObject(value, 'budget');
+  const overall = budgetObject(overallValue, 'budget');
+  const reserve = cap(overall.issueReservePercent ?? env.CODEX_BUDGET_ISSUE_RESERVE_PERCENT ?? 20, 'budget.issueReservePercent');
+  if (reserve > 100) throw new Error('"budget.issueReservePercent" must be at most 100');
+  const maxRunsPerTick = cap(repo.maxRunsPerTick ?? env.CODEX_MAX_RUNS_PER_TICK, 'budget.maxRunsPerTick');
+  if (maxRunsPerTick !== null && !Number.isInteger(maxRunsPerTick)) throw new Error('"budget.maxRunsPerTick" must be an integer');
+  return {
+    repo: {
+      dailyTokens: cap(repo.dailyTokens, 'budget.dailyTokens'),
+      monthlyTokens: cap(repo.monthlyTokens, 'budget.monthlyTokens'),
+      maxRunsPerTick,
+    },
+    overall: {
+      dailyTokens: cap(overall.dailyTokens ?? env.CODEX_BUDGET_DAILY_TOKENS, 'budget.dailyTokens'),
+      monthlyTokens: cap(overall.monthlyTokens ?? env.CODEX_BUDGET_MONTHLY_TOKENS, 'budget.monthlyTokens'),
+    },
+    issueReservePercent: reserve,
+  };
+}
+
+function periods(now = new Date()) {
+  const iso = now.toISOString();
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+}
+
+function pruneKeys(obj, keep) {
+  const keys = Object.keys(obj).sort();
+  for (const key of keys.slice(0, Math.max(0, keys.length - keep))) delete obj[key];
+}
+
+function usedIn(usage, period, key, repo) {
+  const entry = usage[period]?.[key];
+  return { repo: entry?.repos?.[repo] || 0, overall: entry?.total || 0 };
+}
+
+// Per-repository budget for one tick. `check` is read-only; `record` takes
+// the usage lock.
+export function createBudget({ repo, settings = budgetSettings(undefined), usagePath = USAGE_PATH, dryRun = false }) {
+  const store = createStateStore(usagePath);
+  const lockPath = `${usagePath}.lock`;
+  let runs = 0;
+  let tokens = 0;
+
+  function used() {
+    const usage = store.read();
+    const { day, month } = periods();
+    return { daily: usedIn(usage, 'days', day, repo), monthly: usedIn(usage, 'months', month, repo) };
+  }
+
+  return {
+    settings,
+
+    // `{ eligible: true }`, or `{ eligible: false, reason: 'budget', cap,
+    // used, limit }` for the first cap that is reached. `pending`: runs
+    // already queued this tick but not recorded yet. `lowPriority` work (new
+    // issues) stops at the reserve line.
+    check({ pending = 0, lowPriority = false } = {}) {
+      const { maxRunsPerTick } = settings.repo;
+      if (maxRunsPerTick !== null && runs + pending >= maxRunsPerTick) {
+        return { eligible: false, reason: 'budget', cap: 'runs_per_tick', used: runs + pending, limit: maxRunsPerTick };
+      }
+      const share = lowPriority ? (100 - settings.issueReservePercent) / 100 : 1;
+      const current = used();
+      const caps = [
+        ['repo_daily', current.daily.repo, settings.repo.dailyTokens],
+        ['repo_monthly', current.monthly.repo, settings.repo.monthlyTokens],
+        ['overall_daily', current.daily.overall, settings.overall.dailyTokens],
+        ['overall_monthly', current.monthly.overall, settings.overall.monthlyTokens],
+      ];
+      for (const [name, value, limit] of caps) {
+        if (limit === null) continue;
+        const effective = Math.floor(limit * share);
+        if (value >= effective) return { eligible: false, reason: 'budget', cap: name, used: value, limit: effective };
+      }
+      return { eligible: true };
+    },
+
+    // Counts one Codex run (and its reported usage) against the budget.
+    async record(usage) {
+      runs += 1;
+      const n = Number(usage?.totalTokens || 0);
+      if (!n) return;
+      tokens += n;
+      if (dryRun) return;
+      await withLock(lockPath, () => {
+        const current = store.read();
+        const { day, month } = periods();
+        const days = current.days || {};
+        const months = current.months || {};
+        for (const [bucket, key] of [[days, day], [months, month]]) {
+          const entry = bucket[key] || { total: 0, repos: {} };
+          entry.total += n;
+          entry.repos[repo] = (entry.repos[repo] || 0) + n;
+          bucket[key] = entry;
+        }
+        pruneKeys(days, KEEP_DAYS);
+        pruneKeys(months, KEEP_MONTHS);
+        store.update({ days, months });
+      });
+    },
+
+    // For the summary: this tick's runs and tokens, and usage against the caps.
+    summary() {
+      const current = used();
+      return {
+        runs,
+        tokens,
+        daily: { repo: current.daily.repo, overall: current.daily.overall },
+        monthly: { repo: current.monthly.repo, overall: current.monthly.overall },
+        caps: settings,
+      };
+    },
+  };
+}
+
+// Budget-deferred items carried to the next tick, as kept in the job's state
+// (`budgetDeferred`): `{ "<number>": { since, cap } }`. Items deferred again
+// keep the time they were first deferred; items this tick `considered` that
+// ran or dropped out are gone, the others are kept as they were.
+export function nextDeferred(previous = {}, deferred = [], considered = new Set()) {
+  const at = new Date().toISOString();
+  const out = {};
+  for (const [key, entry] of Object.entries(previous)) {
+    if (!considered.has(Number(key))) out[key] = entry;
+  }
+  for (const { number, cap: reached } of deferred) {
+    out[String(number)] = { since: previous[String(number)]?.since || at, cap: reached };
+  }
+  return out;
+}
@@ -0,0 +1,244 @@
+/**
+ * CI fix-up runs: a failing check or deployment on an open PR's head commit
+ * starts a Codex run on the PR branch with the failure's output in the prompt.
+ *
+ * Opt-in with `ciFix` in CODEX_CRON_CONFIG (under `defaults` or per
+ * repository), or for every repository with CODEX_CI_FIX=1:
+ *   "ciFix": { "maxAttempts": 3, "checks": ["^build$", "test"] }
+ * `true` uses the defaults, `false` turns it off for one repository.
+ * `checks` (optional) limits it to check runs whose name matches one of the
+ * case-insensitive patterns.
+ *
+ * Failures:
+ * - check runs on the PR head commit that completed with `failure`,
+ *   `timed_out` or `startup_failure` (latest run per check). The Events API
+ *   does not carry check events, so the PR job looks at the head commit of
+ *   every PR it evaluates; `check_run` / `check_suite` webhook deliveries add
+ *   their PRs to the evaluation.
+ * - `error` / `failure` deployment statuses, from webhook deliveries only,
+ *   matched to PRs by commit.
+ *
+ * For each failing check the prompt gets its output title and summary, its
+ * annotations and, for GitHub Actions jobs, the tail of the job log.
+ *
+ * Attempts are kept per PR in the state file (`ciFixes`). A PR gets at most
+ * `maxAttempts` runs, and a commit that already had a run is not tried again
+ * (the run did not fix it, or its fix is not pushed yet). The runs also go
+ * through the retry ledger and `/codex stop` like review runs.
+ *
+ * Env vars:
+ * - CODEX_CI_FIX (optional, default: 0; 1 enables it for repositories without `ciFix`)
+ * - CODEX_CI_FIX_MAX_ATTEMPTS (optional, default: 3)
+ * - CODEX_CI_FIX_LOG_BYTES (optional, default: 20000; log tail per failing check)
+ */
+
+import { nullUnlessRateLimited } from './github.mjs';
+import { withLock } from './lock.mjs';
+import { redact } from './redact.mjs';
+
+const MAX_ATTEMPTS = Number(process.env.CODEX_CI_FIX_MAX_ATTEMPTS || 3);
+const LOG_BYTES = Number(process.env.CODEX_CI_FIX_LOG_BYTES || 20000);
+const FAILING_CONCLUSIONS = new Set(['failure', 'timed_out', 'startup_failure']);
+const FAILING_DEPLOYMENT_STATES = new Set(['error', 'failure']);
+const MAX_CHECKS = 5;
+const MAX_ANNOTATIONS = 50;
+const MAX_SUMMARY_BYTES = 4000;
+// Commits remembered per PR; older ones cannot come back as the PR head.
+const MAX_TRIED_SHAS = 20;
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map((v) => String(v).trim()).filter(Boolean);
+}
+
+// `{ enabled, maxAttempts, checks }` from the repo's `ciFix` value.
+export function ciFixSettings(value, env = process.env) {
+  const raw = value ?? env.CODEX_CI_FIX === '1';
+  if (!raw) return { enabled: false, maxAttempts: MAX_ATTEMPTS, checks: [] };
+  const opts = raw === true ? {} : raw;
+  if (typeof opts !== 'object' || Array.isArray(opts)) {
+    throw new Error('"ciFix" must be true, false or an object');
+  }
+  const maxAttempts = Number(opts.maxAttempts ?? MAX_ATTEMPTS);
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+    throw new Error('"ciFix.maxAttempts" must be a positive integer');
+  }
+  const checks = toList(opts.checks).map((pattern) => {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (err) {
+      throw new Error(`Invalid "ciFix.checks" pattern ${pattern}: ${err.message}`);
+    }
+  });
+  return { enabled: opts.enabled !== false, maxAttempts, checks };
+}
+
+function failingCheck(run) {
+  return run?.status === 'completed' && FAILING_CONCLUSIONS.has(run?.conclusion);
+}
+
+// PRs named by failing check run / suite events, and failing deployments
+// (with the commit they deployed) from deployment status events.
+export function ciTargetsFromEvents(events) {
+  const prs = new Set();
+  const deployments = [];
+  for (const ev of events) {
+    const p = ev?.payload;
+    let run = null;
+    if (ev?.type === 'CheckRunEvent') run = p?.check_run;
+    else if (ev?.type === 'CheckSuiteEvent') run = p?.check_suite;
+    if (run) {
+      if (!failingCheck(run)) continue;
+      for (const pr of run.pull_requests || []) {
+        if (pr?.number) prs.add(pr.number);
+      }
+      continue;
+    }
+    const ds = ev?.type === 'DeploymentStatusEvent' ? p?.deployment_status : null;
+    if (!ds || !FAILING_DEPLOYMENT_STATES.has(String(ds.state || '').toLowerCase())) continue;
+    const sha = p?.deployment?.sha;
+    if (!sha) continue;
+    deployments.push({
+      kind: 'deployment',
+      sha,
+      name: ds.environment || p?.deployment?.environment || 'deployment',
+      conclusion: String(ds.state).toLowerCase(),
+      url: ds.log_url || ds.target_url || ds.environment_url || null,
+      description: ds.description || '',
+    });
+  }
+  return { prs, deployments };
+}
+
+// Open PRs whose head is `sha`.
+export async function pullRequestsForCommit(gh, sha) {
+  const prs = await gh.getJson(`/repos/${gh.repo}/commits/${sha}/pulls`).catch(nullUnlessRateLimited);
+  return (Array.isArray(prs) ? prs : []).filter((pr) => pr?.state === 'open' && pr?.head?.sha === sha).map((pr) => pr.number);
+}
+
+export async function listFailingChecks(gh, sha, { checks = [] } = {}) {
+  const data = await gh.getJson(`/repos/${gh.repo}/commits/${sha}/check-runs?filter=latest&per_page=100`);
+  return (data?.check_runs || [])
+    .filter((run) => failingCheck(run) && (!checks.length || checks.some((re) => re.test(run.name || ''))))
+    .map((run) => ({
+      kind: 'check',
+      id: run.id,
+      name: run.name || 'check',
+      app: run.app?.slug || null,
+      conclusion: run.conclusion,
+      url: run.html_url || run.details_url || null,
+      title: run.output?.title || '',
+      summary: run.output?.summary || '',
+      annotations: Number(run.output?.annotations_count || 0),
+    }));
+}
+
+function byteTail(text, maxBytes) {
+  const buf = Buffer.from(text, 'utf8');
+  if (buf.length <= maxBytes) return text;
+  const tail = buf.subarray(buf.length - maxBytes).toString('utf8');
+  // Start on a whole line.
+  const cut = tail.indexOf('\n');
+  return `[... ${buf.length - maxBytes} earlier bytes left out]\n${cut >= 0 ? tail.slice(cut + 1) : tail}`;
+}
+
+function cleanLog(text) {
+  return String(text)
+    .replace(/\x1b\[[0-9;]*m/g, '')
+    .replace(/^\uFEFF?\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d(?:\.\d+)?Z ?/gm, '')
+    .replace(/\s+$/, '');
+}
+
+// Actions job logs (check run id == job id). The API answers with a redirect
+// to the log file; expired or missing logs come back as null.
+async function actionsJobLog(gh, id, maxBytes) {
+  const res = await gh.request(`/repos/${gh.repo}/actions/jobs/${id}/logs`).catch(nullUnlessRateLimited);
+  if (!res?.ok) return null;
+  const text = await res.text().catch(() => '');
+  return text ? byteTail(cleanLog(text), maxBytes) : null;
+}
+
+async function checkAnnotations(gh, id) {
+  const data = await gh.getJson(`/repos/${gh.repo}/check-runs/${id}/annotations?per_page=${MAX_ANNOTATIONS}`).catch(nullUnlessRateLimited);
+  return (Array.isArray(data) ? data : []).map((a) => {
+    const line = a.start_line ? `:${a.start_line}${a.end_line && a.end_line !== a.start_line ? `-${a.end_line}` : ''}` : '';
+    const title = a.title ? `${a.title}: ` : '';
+    return `- ${a.path || '(no path)'}${line} (${a.annotation_level || 'notice'}) ${title}${String(a.message || '').replace(/\s+/g, ' ').trim()}`;
+  });
+}
+
+function fenced(text) {
+  return ['```text', text.replace(/```/g, "'''"), '```'].join('\n');
+}
+
+async function describeFailure(gh, failure, maxBytes) {
+  if (failure.kind === 'deployment') {
+    return [
+      `### Deployment ${failure.name}: ${failure.conclusion}`,
+      ...(failure.url ? [failure.url] : []),
+      ...(failure.description ? ['', failure.description] : []),
+    ].join('\n');
+  }
+  const lines = [`### ${failure.name}${failure.app ? ` (${failure.app})` : ''}: ${failure.conclusion}`];
+  if (failure.url) lines.push(failure.url);
+  if (failure.title) lines.push('', failure.title);
+  if (failure.summary) lines.push('', byteTail(failure.summary.trim(), MAX_SUMMARY_BYTES));
+  if (failure.annotations) {
+    const annotations = await checkAnnotations(gh, failure.id);
+    if (annotations.length) lines.push('', 'Annotations:', ...annotations);
+  }
+  if (failure.app === 'github-actions') {
+    const log = await actionsJobLog(gh, failure.id, maxBytes);
+    lines.push('', log ? `Job log (tail):\n${fenced(log)}` : 'Job log: not available.');
+  }
+  return lines.join('\n');
+}
+
+// Markdown for the prompt's `{{ci.failures}}`. Secrets are masked; Actions
+// already masks its own, but deployment tools and scripts may not.
+export async function describeFailures(gh, failures, { maxBytes = LOG_BYTES } = {}) {
+  const shown = failures.slice(0, MAX_CHECKS);
+  const parts = [];
+  for (const failure of shown) parts.push(await describeFailure(gh, failure, maxBytes));
+  if (failures.length > shown.length) {
+    parts.push(`Also failing, not shown: ${failures.slice(shown.length).map((f) => f.name).join(', ')}.`);
+  }
+  return redact(parts.join('\n\n'));
+}
+
+// State-backed attempt counter. `check` is read-only; `record` takes the lock.
+export function createCiFixTracker({ store, lockPath, settings = ciFixSettings(undefined) }) {
+  const entry = (number) => (store.read().ciFixes || {})[String(number)] || { attempts: 0, shas: [] };
+
+  return {
+    ...settings,
+
+    check(number, sha) {
+      const current = entry(number);
+      if (current.shas.includes(sha)) return { eligible: false, reason: 'ci_fix_already_tried', sha, attempts: current.attempts };
+      if (current.attempts >= settings.maxAttempts) {
+        return { eligible: false, reason: 'ci_fix_attempts_exhausted', attempts: current.attempts };
+      }
+      return { eligible: true, attempt: current.attempts + 1 };
+    },
+
+    // `runs`: [{ number, sha }] of the fix-up runs that finished this tick.
+    async record(runs) {
+      if (!runs.length) return;
+      await withLock(lockPath, () => {
+        const ciFixes = store.read().ciFixes || {};
+        const at = new Date().toISOString();
+        for (const { number, sha } of runs) {
+          const current = ciFixes[String(number)] || { attempts: 0, shas: [] };
+          ciFixes[String(number)] = {
+            attempts: current.attempts + 1,
+            shas: [...current.shas.filter((s) => s !== sha), sha].slice(-MAX_TRIED_SHAS),
+            lastSha: sha,
+            lastAt: at,
+          };
+        }
+        store.update({ ciFixes });
+      });
+    },
+  };
+}
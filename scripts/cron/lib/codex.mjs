@@ -0,0 +1,306 @@
+/**
+ * Runs `codex exec` non-interactively and captures what the agent did.
+ *
+ * With `--json` (the default) Codex writes one JSON event per line to stdout;
+ * the event stream is parsed into a structured `result`:
+ *   { threadId, finalMessage, commands: [{ command, exitCode }], commandCount,
+ *     failedCommands, filesChanged: [{ path, kind }], usage: { inputTokens,
+ *     cachedInputTokens, outputTokens, totalTokens }, prUrls, errors }
+ * Both the current item events (`item.completed`, `turn.completed`, ...) and
+ * the older `{ id, msg }` events are understood. The raw output tails are kept
+ * as a fallback for runs that produced no events (older CLIs, crashes before
+ * the first event).
+ *
+ * Env vars (used as defaults):
+ * - CODEX_MODEL
+ * - CODEX_JSON_EVENTS (default: 1; 0 runs without `--json` for CLIs that lack it)
+ * - CODEX_OUTPUT_TAIL_BYTES (default: 12000)
+ * - CODEX_RUN_TIMEOUT_MS (default: 3600000; 0 disables the limit)
+ * - OPENAI_API_KEY (passed through only when non-empty)
+ */
+
+import { StringDecoder } from 'node:string_decoder';
+import { createTail, envTimeoutMs, spawnSupervised } from './process.mjs';
+
+const JSON_EVENTS = process.env.CODEX_JSON_EVENTS !== '0';
+const MAX_COMMANDS = 50;
+const MAX_FILES = 200;
+const MAX_ERRORS = 10;
+const MAX_COMMAND_CHARS = 300;
+const SUMMARY_MESSAGE_CHARS = 2000;
+const PR_URL = /https:\/\/github\.com\/[\w.-]+\/[\w.-]+\/pull\/\d+/g;
+
+export function codexEnv(baseEnv = process.env) {
+  const env = { ...baseEnv };
+  const apiKey = String(baseEnv.OPENAI_API_KEY || '').trim();
+  if (apiKey) {
+    env.OPENAI_API_KEY = apiKey;
+  } else {
+    delete env.OPENAI_API_KEY;
+  }
+  return env;
+}
+
+export function codexArgs(prompt, opts = {}) {
+  const model = opts.model ?? process.env.CODEX_MODEL ?? '';
+  const json = opts.json ?? JSON_EVENTS;
+  const args = ['exec'];
+  if (opts.skipGitRepoCheck) args.push('--skip-git-repo-check');
+  args.push('--dangerously-bypass-approvals-and-sandbox');
+  if (json) args.push('--json');
+  if (model) args.push('--model', model);
+  args.push(prompt);
+  return args;
+}
+
+function commandText(command) {
+  const text = Array.isArray(command) ? command.join(' ') : String(command || '');
+  return text.length > MAX_COMMAND_CHARS ? `${text.slice(0, MAX_COMMAND_CHARS - 3)}...` : text;
+}
+
+// Incremental parser for the `--json` event stream. `push` takes raw stdout
+// chunks; lines that are not JSON are counted and otherwise ignored.
+export function createCodexEventParser() {
+  const decoder = new StringDecoder('utf8');
+  let partial = '';
+  let events = 0;
+  let unparsed = 0;
+  let threadId = null;
+  let finalMessage = null;
+  let commandCount = 0;
+  let failedCommands = 0;
+  const commands = [];
+  const pendingCommands = new Map();
+  const files = new Map();
+  const prUrls = new Set();
+  const errors = [];
+  // Item events report usage per turn (summed); older events report a
+  // running total (replaced).
+  const turnUsage = { input: 0, cached: 0, output: 0 };
+  let totalUsage = null;
+
+  const findUrls = (text) => {
+    for (const url of String(text || '').match(PR_URL) || []) prUrls.add(url);
+  };
+  const addCommand = (command, exitCode, output) => {
+    commandCount += 1;
+    if (typeof exitCode === 'number' && exitCode !== 0) failedCommands += 1;
+    commands.push({ command: commandText(command), exitCode: exitCode ?? null });
+    if (commands.length > MAX_COMMANDS) commands.shift();
+    findUrls(output);
+  };
+  const addFile = (filePath, kind) => {
+    if (!filePath || (files.size >= MAX_FILES && !files.has(filePath))) return;
+    files.set(filePath, kind || 'update');
+  };
+  const addError = (message) => {
+    if (message && errors.length < MAX_ERRORS) errors.push(String(message));
+  };
+
+  function onItem(item) {
+    switch (item?.type) {
+      case 'agent_message':
+        finalMessage = item.text ?? finalMessage;
+        findUrls(item.text);
+        break;
+      case 'command_execution':
+        addCommand(item.command, item.exit_code, item.aggregated_output);
+        break;
+      case 'file_change':
+        for (const change of item.changes || []) addFile(change.path, change.kind);
+        break;
+      case 'error':
+        addError(item.message);
+        break;
+      default:
+        break;
+    }
+  }
+
+  // `{ id, msg: { type, ... } }` events of older CLIs.
+  function onLegacy(msg) {
+    switch (msg?.type) {
+      case 'agent_message':
+        finalMessage = msg.message ?? finalMessage;
+        findUrls(msg.message);
+        break;
+      case 'task_complete':
+        if (msg.last_agent_message) finalMessage = msg.last_agent_message;
+        break;
+      case 'exec_command_begin':
+        pendingCommands.set(msg.call_id, msg.command);
+        break;
+      case 'exec_command_end':
+        addCommand(pendingCommands.get(msg.call_id) ?? msg.command, msg.exit_code, msg.aggregated_output ?? msg.stdout);
+        pendingCommands.delete(msg.call_id);
+        break;
+      case 'patch_apply_begin':
+        for (const [filePath, change] of Object.entries(msg.changes || {})) {
+          addFile(filePath, change?.type || Object.keys(change || {})[0]);
+        }
+        break;
+      case 'token_count': {
+        const usage = msg.info?.total_token_usage || msg;
+        totalUsage = {
+          input: Number(usage.input_tokens || 0),
+          cached: Number(usage.cached_input_tokens || 0),
+          output: Number(usage.output_tokens || 0),
+        };
+        break;
+      }
+      case 'error':
+      case 'stream_error':
+        addError(msg.message);
+        break;
+      default:
+        break;
+    }
+  }
+
+  function onEvent(ev) {
+    events += 1;
+    if (ev.msg) {
+      onLegacy(ev.msg);
+      return;
+    }
+    switch (ev.type) {
+      case 'thread.started':
+        threadId = ev.thread_id || threadId;
+        break;
+      case 'item.completed':
+        onItem(ev.item);
+        break;
+      case 'turn.completed':
+        turnUsage.input += Number(ev.usage?.input_tokens || 0);
+        turnUsage.cached += Number(ev.usage?.cached_input_tokens || 0);
+        turnUsage.output += Number(ev.usage?.output_tokens || 0);
+        break;
+      case 'turn.failed':
+        addError(ev.error?.message);
+        break;
+      case 'error':
+        addError(ev.message);
+        break;
+      default:
+        break;
+    }
+  }
+
+  function onLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    let ev;
+    try {
+      ev = JSON.parse(trimmed);
+    } catch {
+      unparsed += 1;
+      return;
+    }
+    if (ev && typeof ev === 'object') onEvent(ev);
+    else unparsed += 1;
+  }
+
+  return {
+    push(chunk) {
+      partial += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+      const lines = partial.split('\n');
+      partial = lines.pop();
+      for (const line of lines) onLine(line);
+    },
+
+    // Structured result, or null when the stream had no events at all.
+    result() {
+      partial += decoder.end();
+      if (partial) {
+        onLine(partial);
+        partial = '';
+      }
+      if (events === 0) return null;
+      const u = totalUsage || turnUsage;
+      return {
+        threadId,
+        finalMessage,
+        commands,
+        commandCount,
+        failedCommands,
+        filesChanged: [...files].map(([filePath, kind]) => ({ path: filePath, kind })),
+        usage: { inputTokens: u.input, cachedInputTokens: u.cached, outputTokens: u.output, totalTokens: u.input + u.output },
+        prUrls: [...prUrls],
+        errors,
+        events,
+        ...(unparsed ? { unparsedLines: unparsed } : {}),
+      };
+    },
+  };
+}
+
+// Smaller copy of a run's `result` for the job summaries and run history.
+export function summarizeCodexResult(result, { messageChars = SUMMARY_MESSAGE_CHARS, commands = 10 } = {}) {
+  if (!result) return null;
+  const message = result.finalMessage || '';
+  return {
+    ...(result.threadId ? { threadId: result.threadId } : {}),
+    finalMessage: message.length > messageChars ? `${message.slice(0, messageChars - 3)}...` : message || null,
+    commandCount: result.commandCount,
+    failedCommands: result.failedCommands,
+    lastCommands: result.commands.slice(-commands),
+    filesChanged: result.filesChanged.map((f) => f.path),
+    usage: result.usage,
+    ...(result.prUrls.length ? { prUrls: result.prUrls } : {}),
+    ...(result.errors.length ? { errors: result.errors } : {}),
+  };
+}
+
+// Run history fields (lib/history.mjs) from a summarized result.
+export function codexHistory(summary) {
+  if (!summary) return {};
+  return {
+    usage: summary.usage,
+    filesChanged: summary.filesChanged.length,
+    commandCount: summary.commandCount,
+    ...(summary.prUrls ? { prUrls: summary.prUrls } : {}),
+  };
+}
+
+// What to show as a run's log: the agent's last message (or its errors) when
+// the event stream was parsed, the raw output tail otherwise.
+export function codexLogTail(run) {
+  if (run.code !== 0) {
+    const errors = run.result?.errors || [];
+    return [...errors, run.stderrTail].filter(Boolean).join('\n') || run.stdoutTail;
+  }
+  return run.result?.finalMessage || run.stdoutTail;
+}
+
+export async function runCodex(prompt, opts = {}) {
+  const tailBytes = Number(opts.tailBytes || process.env.CODEX_OUTPUT_TAIL_BYTES || 12000);
+  const timeoutMs = opts.timeoutMs ?? envTimeoutMs('CODEX_RUN_TIMEOUT_MS', 60 * 60 * 1000);
+  const json = opts.json ?? JSON_EVENTS;
+  const args = codexArgs(prompt, { ...opts, json });
+
+  const stdout = createTail(tailBytes);
+  const stderr = createTail(tailBytes);
+  const parser = json ? createCodexEventParser() : null;
+  const result = await spawnSupervised('codex', args, {
+    stdio: ['ignore', 'pipe', 'pipe'],
+    ...(opts.cwd ? { cwd: opts.cwd } : {}),
+    env: codexEnv(opts.env || process.env),
+    timeoutMs,
+    onStdout: (chunk) => {
+      stdout.push(chunk);
+      parser?.push(chunk);
+    },
+    onStderr: (chunk) => stderr.push(chunk),
+  });
+  if (result.error) stderr.push(String(result.error));
+
+  return {
+    code: result.code,
+    signal: result.signal,
+    timedOut: result.timedOut,
+    cancelled: result.cancelled,
+    result: parser ? parser.result() : null,
+    stdoutTail: stdout.value(),
+    stderrTail: stderr.value(),
+  };
+}
@@ -0,0 +1,259 @@
+/**
+ * `/codex` slash commands in issue and PR comments.
+ *
+ *   /codex fix <instructions>   Codex run with the comment as its instructions
+ *   /codex rebase [notes]       (PRs only) Codex run that rebases the branch onto its base
+ *   /codex retry                clears the item's failures / dead letter and `stop`,
+ *                               then runs the job's normal Codex run again
+ *   /codex stop                 no automatic runs on the item until `retry` or `fix`
+ *
+ * A command is the first line of a comment, PR review or review comment that
+ * starts with `/codex`; for `fix` and `rebase` the rest of the comment below
+ * it is part of the instructions. Quoted lines, code blocks, bot accounts and
+ * the jobs' own comments are ignored. Only users with write, maintain or admin
+ * permission on the repository (collaborators API) are obeyed. Every command
+ * gets a reply saying what was done with it.
+ *
+ * The PR job handles commands on PRs, the issue job those on issues. Accepted
+ * runs wait in the repository's state (`commands.queue`) until one starts, so
+ * a command that arrives while the item is claimed runs on a later tick.
+ * Handled comment ids are remembered (`commands.seen`) so the cron poll and
+ * the webhook server never act on the same comment twice; `/codex stop` is
+ * kept in `commands.stopped`. The permission check and reply run without the
+ * state lock; a claim per comment keeps two runs from answering it at once.
+ *
+ * Env vars:
+ * - CODEX_COMMANDS (optional, default: 1; 0 ignores `/codex` comments)
+ * - CODEX_COMMAND_SEEN_TTL_MS (optional, default: 2592000000, 30 days)
+ */
+
+import { isRateLimitError } from './github.mjs';
+import { withLock } from './lock.mjs';
+
+export const COMMAND_NAMES = ['fix', 'rebase', 'retry', 'stop'];
+export const COMMAND_REPLY_MARKER = '<!-- codex-cron:command -->';
+
+const ENABLED = process.env.CODEX_COMMANDS !== '0';
+const SEEN_TTL_MS = Number(process.env.CODEX_COMMAND_SEEN_TTL_MS || 30 * 24 * 60 * 60 * 1000);
+const WRITE_PERMISSIONS = new Set(['admin', 'maintain', 'write']);
+// Any of the jobs' own comments (status comments, replies) carries this.
+const OWN_MARKER = '<!-- codex-cron:';
+const USAGE = '`/codex fix <instructions>`, `/codex rebase`, `/codex retry` or `/codex stop`';
+
+// `{ name, instructions }` for the first `/codex` line of `body`, or null.
+// An unknown or missing verb comes back as is, so the caller can answer it.
+export function parseCommand(body) {
+  const lines = String(body || '').split(/\r?\n/);
+  let inFence = false;
+  for (const [i, line] of lines.entries()) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence || /^\s*>/.test(line)) continue;
+    const m = /^\s*\/codex(?:\s+(\S+))?[ \t]*(.*)$/i.exec(line);
+    if (!m) continue;
+    const rest = [m[2], ...lines.slice(i + 1)].join('\n').trim();
+    return { name: String(m[1] || '').toLowerCase(), instructions: rest };
+  }
+  return null;
+}
+
+function commandFrom(ev, kind, number, post, pullRequest) {
+  if (!post || !number || post.user?.type === 'Bot') return null;
+  const body = String(post.body || '');
+  if (body.includes(OWN_MARKER)) return null;
+  const parsed = parseCommand(body);
+  if (!parsed) return null;
+  return {
+    id: `${kind}-${post.id}`,
+    number,
+    pullRequest,
+    user: post.user?.login || null,
+    url: post.html_url || null,
+    createdAt: post.created_at || post.submitted_at || ev.created_at || null,
+    ...parsed,
+  };
+}
+
+// Commands in new comments, reviews and review comments (Events API shape).
+export function commandsFromEvents(events, enabled = ENABLED) {
+  if (!enabled) return [];
+  const out = [];
+  for (const ev of events) {
+    const p = ev?.payload;
+    let command = null;
+    if (ev?.type === 'IssueCommentEvent' && p?.action === 'created') {
+      command = commandFrom(ev, 'comment', p.issue?.number, p.comment, Boolean(p.issue?.pull_request));
+    } else if (ev?.type === 'PullRequestReviewCommentEvent' && p?.action === 'created') {
+      command = commandFrom(ev, 'review-comment', p.pull_request?.number, p.comment, true);
+    } else if (ev?.type === 'PullRequestReviewEvent' && p?.action === 'submitted') {
+      command = commandFrom(ev, 'review', p.pull_request?.number, p.review, true);
+    }
+    if (command) out.push(command);
+  }
+  return out;
+}
+
+export async function hasWritePermission(gh, login) {
+  if (!login) return false;
+  try {
+    const data = await gh.getJson(`/repos/${gh.repo}/collaborators/${encodeURIComponent(login)}/permission`);
+    return WRITE_PERMISSIONS.has(data?.role_name) || WRITE_PERMISSIONS.has(data?.permission);
+  } catch (err) {
+    if (err?.status === 404) return false;
+    throw err;
+  }
+}
+
+// State-backed queue. The readers see the file as it is now; `record` and
+// `complete` take the state lock for their read-modify-write.
+export function createCommandQueue({ store, lockPath, seenTtlMs = SEEN_TTL_MS }) {
+  const read = () => {
+    const commands = store.read().commands || {};
+    return { queue: [...(commands.queue || [])], seen: { ...(commands.seen || {}) }, stopped: { ...(commands.stopped || {}) } };
+  };
+  const mutate = (fn) => {
+    const commands = read();
+    const result = fn(commands);
+    store.update({ commands });
+    return result;
+  };
+
+  return {
+    isSeen(id) {
+      return Boolean(read().seen[id]);
+    },
+
+    stopped(key) {
+      return read().stopped[key] || null;
+    },
+
+    pending() {
+      return read().queue;
+    },
+
+    // Records a handled command: `run` queues it, `stop` / `resume` change the
+    // item's stop flag (`stop` also drops its queued runs).
+    record(command, key, { run = false, stop = false, resume = false } = {}) {
+      return withLock(lockPath, () => mutate((c) => {
+        const now = new Date();
+        c.seen[command.id] = now.toISOString();
+        for (const [id, at] of Object.entries(c.seen)) {
+          if (now.getTime() - new Date(at).getTime() > seenTtlMs) delete c.seen[id];
+        }
+        if (stop) {
+          c.stopped[key] = { by: command.user, url: command.url, at: now.toISOString() };
+          c.queue = c.queue.filter((q) => q.key !== key);
+        }
+        if (resume) delete c.stopped[key];
+        if (run) {
+          c.queue.push({
+            id: command.id,
+            key,
+            number: command.number,
+            name: command.name,
+            instructions: command.instructions,
+            user: command.user,
+            url: command.url,
+            queuedAt: now.toISOString(),
+          });
+        }
+      }));
+    },
+
+    async complete(ids) {
+      if (!ids.length) return;
+      await withLock(lockPath, () => mutate((c) => {
+        c.queue = c.queue.filter((q) => !ids.includes(q.id));
+      }));
+    },
+  };
+}
+
+function reply(text) {
+  return `${COMMAND_REPLY_MARKER}\n${text}`;
+}
+
+// What to do with one command and the reply confirming it.
+function decide(command, { allowed, permissionError, pullRequest }) {
+  const who = command.user ? `@${command.user}` : 'This user';
+  const what = pullRequest ? 'PR' : 'issue';
+  const name = command.name;
+  if (permissionError) {
+    return { outcome: 'permission_check_failed', text: `${who}: could not check your permission on this repository, so the command was not run. Please try again later.` };
+  }
+  if (!allowed) return { outcome: 'denied', text: `${who}: \`/codex\` commands need write access to this repository.` };
+  if (!COMMAND_NAMES.includes(name)) {
+    const unknown = name ? `unknown command \`/codex ${name}\`` : 'missing command';
+    return { outcome: 'unknown', text: `${who}: ${unknown}. Use ${USAGE}.` };
+  }
+  if (name === 'rebase' && !pullRequest) {
+    return { outcome: 'unsupported', text: `${who}: \`/codex rebase\` only works on pull requests.` };
+  }
+  if (name === 'fix' && !command.instructions) {
+    return { outcome: 'invalid', text: `${who}: \`/codex fix\` needs instructions, e.g. \`/codex fix handle empty input in parseConfig\`.` };
+  }
+  if (name === 'stop') {
+    return {
+      outcome: 'stopped',
+      stop: true,
+      text: `Stopped automatic Codex runs on this ${what} (requested by ${who}). \`/codex retry\` or \`/codex fix ...\` resumes them; a run already in progress is not interrupted.`,
+    };
+  }
+  const runs = name === 'retry' ? `a new Codex run (retry state cleared)` : `a Codex run for \`/codex ${name}\``;
+  return {
+    outcome: 'queued',
+    run: true,
+    resume: true,
+    text: `Queued ${runs}, requested by ${who}. Progress is posted in the Codex status comment on this ${what}.`,
+  };
+}
+
+// Checks permission, replies and records each new command. Call it without
+// the state lock held; `claims` (lib/lock.mjs) holds each comment while it
+// is handled, and one another run holds is left to that run. Returns one
+// summary entry per command; in a dry run nothing is posted and the replies
+// are returned as `reply`.
+export async function acceptCommands({ gh, queue, claims, commands, keyFor, dryRun = false }) {
+  const handled = [];
+  for (const command of commands) {
+    if (queue.isSeen(command.id)) continue;
+    const claim = claims.tryClaim(`command-${command.id}`);
+    if (!claim) continue;
+    try {
+      // Read again under the claim: another run may have finished it meanwhile.
+      if (queue.isSeen(command.id)) continue;
+      handled.push(await acceptCommand({ gh, queue, command, keyFor, dryRun }));
+    } finally {
+      claim.release();
+    }
+  }
+  return handled;
+}
+
+// One command: permission check, decision, reply and state record.
+async function acceptCommand({ gh, queue, command, keyFor, dryRun }) {
+  let allowed = false;
+  let permissionError = null;
+  try {
+    allowed = await hasWritePermission(gh, command.user);
+  } catch (err) {
+    if (isRateLimitError(err)) throw err;
+    permissionError = String(err);
+  }
+  const decision = decide(command, { allowed, permissionError, pullRequest: command.pullRequest });
+  const entry = { id: command.id, number: command.number, command: command.name, user: command.user, outcome: decision.outcome };
+  if (permissionError) entry.error = permissionError;
+  if (dryRun) {
+    entry.reply = decision.text;
+  } else {
+    try {
+      await gh.requestJson(`/repos/${gh.repo}/issues/${command.number}/comments`, { method: 'POST', body: { body: reply(decision.text) } });
+    } catch (err) {
+      entry.replyError = String(err);
+    }
+  }
+  await queue.record(command, keyFor(command.number), decision);
+  return entry;
+}
@@ -0,0 +1,100 @@
+/**
+ * Repository list for the cron jobs and the webhook server.
+ *
+ * Sources, first match wins:
+ * - CODEX_CRON_CONFIG: path to a JSON file
+ *     {
+ *       "defaults": { "model": "...", ... },
+ *       "repos": [
+ *         "owner/name",
+ *         { "repo": "owner/name", "label": "...", "prompt": "...", "reviewPrompt": "...",
+ *           "model": "...", "postCheckCommand": "...", "reviewThreads": { ... },
+ *           "reviewers": [ ... ], "ciFix": { ... }, "autoRebase": { ... },
+ *           "budget": { ... }, "verifiedPush": { ... } }
+ *       ],
+ *       "notify": { "sinks": [ ... ] },
+ *       "redact": { "env": [ ... ] },
+ *       "budget": { ... }
+ *     }
+ * - GITHUB_REPOS: comma-separated `owner/name` list
+ * - GITHUB_REPO: single repository (legacy)
+ *
+ * Per-repo keys that are not set fall back to `defaults`, then to the job's
+ * own env vars (MODULE_SPEC_LABEL, CODEX_BASE_PROMPT, CODEX_MODEL, ...).
+ */
+
+import fs from 'node:fs';
+
+export const DEFAULT_REPO = 'raid-guild/cohort-portal-spike';
+
+const REPO_PATTERN = /^[\w.-]+\/[\w.-]+$/;
+const OVERRIDE_KEYS = ['label', 'prompt', 'reviewPrompt', 'model', 'postCheckCommand', 'reviewThreads', 'reviewers', 'ciFix', 'autoRebase', 'budget', 'verifiedPush'];
+
+export function legacyRepo(env = process.env) {
+  return env.GITHUB_REPO || DEFAULT_REPO;
+}
+
+function normalizeEntry(entry, defaults, source) {
+  const raw = typeof entry === 'string' ? { repo: entry } : { ...(entry || {}) };
+  const repo = String(raw.repo || '').trim();
+  if (!REPO_PATTERN.test(repo)) {
+    throw new Error(`Invalid repository "${raw.repo}" in ${source}; expected owner/name`);
+  }
+  const out = { repo };
+  for (const key of OVERRIDE_KEYS) {
+    const value = raw[key] ?? defaults[key];
+    if (value !== undefined && value !== null && value !== '') out[key] = value;
+  }
+  return out;
+}
+
+// Parsed CODEX_CRON_CONFIG file, or null when the variable is not set. Other
+// sections of the file (`notify`, see lib/notify.mjs; `redact`, see
+// lib/redact.mjs; `budget`, see lib/budget.mjs) are read from here.
+export function readConfigFile(env = process.env) {
+  const source = env.CODEX_CRON_CONFIG;
+  if (!source) return null;
+  try {
+    return JSON.parse(fs.readFileSync(source, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read CODEX_CRON_CONFIG ${source}: ${err.message}`);
+  }
+}
+
+export function loadRepoConfigs(env = process.env) {
+  let entries;
+  let defaults = {};
+  let source;
+
+  if (env.CODEX_CRON_CONFIG) {
+    source = env.CODEX_CRON_CONFIG;
+    const parsed = readConfigFile(env);
+    entries = Array.isArray(parsed) ? parsed : parsed?.repos;
+    defaults = (!Array.isArray(parsed) && parsed?.defaults) || {};
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error(`CODEX_CRON_CONFIG ${source} has no "repos" list`);
+    }
+  } else if (env.GITHUB_REPOS) {
+    source = 'GITHUB_REPOS';
+    entries = env.GITHUB_REPOS.split(',').map((s) => s.trim()).filter(Boolean);
+  } else {
+    source = 'GITHUB_REPO';
+    entries = [legacyRepo(env)];
+  }
+
+  const seen = new Set();
+  const configs = [];
+  for (const entry of entries) {
+    const config = normalizeEntry(entry, defaults, source);
+    const key = config.repo.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    configs.push(config);
+  }
+  return configs;
+}
+
+export function findRepoConfig(configs, repo) {
+  const key = String(repo || '').toLowerCase();
+  return configs.find((c) => c.repo.toLowerCase() === key) || null;
+}
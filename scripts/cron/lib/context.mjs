@@ -0,0 +1,257 @@
+/**
+ * Issue / PR context embedded in the Codex prompt (`{{issue.context}}`,
+ * `{{pr.context}}` in the templates, see lib/prompts.mjs), so the agent starts
+ * with the conversation instead of fetching it again.
+ *
+ * Everything is fitted into one byte budget per prompt: attachment and
+ * linked-issue summaries first, then the issue/PR body, then comments (issue
+ * job, newest kept first) or open review feedback (PR job: summaries of
+ * reviewers judged by a summary comment, then unresolved threads, in order).
+ * What does not fit is cut with a note saying how much was left out.
+ *
+ * Env vars:
+ * - CODEX_PROMPT_CONTEXT_MAX_BYTES (optional, default: 40000)
+ * - CODEX_PROMPT_CONTEXT_MAX_TOKENS (optional; overrides the byte budget at ~4 bytes per token)
+ * - CODEX_PROMPT_CONTEXT_MAX_LINKS (optional, default: 5; linked issues summarized)
+ */
+
+import { isRateLimitError } from './github.mjs';
+
+const MAX_BYTES = Number(process.env.CODEX_PROMPT_CONTEXT_MAX_BYTES || 40000);
+const MAX_TOKENS = Number(process.env.CODEX_PROMPT_CONTEXT_MAX_TOKENS || 0);
+const MAX_LINKS = Number(process.env.CODEX_PROMPT_CONTEXT_MAX_LINKS || 5);
+const MAX_ATTACHMENTS = 20;
+const MAX_COMMENT_PAGES = 3;
+const LINK_SNIPPET_CHARS = 200;
+const DIFF_HUNK_LINES = 30;
+// The jobs' own sticky comments (lib/report.mjs) are not context.
+const REPORT_MARKER = '<!-- codex-cron:';
+
+export function contextBudget() {
+  return MAX_TOKENS > 0 ? MAX_TOKENS * 4 : MAX_BYTES;
+}
+
+export function byteLength(text) {
+  return Buffer.byteLength(String(text || ''), 'utf8');
+}
+
+export function truncateBytes(text, maxBytes, note = 'truncated') {
+  const s = String(text || '');
+  if (byteLength(s) <= maxBytes) return s;
+  const marker = `\n[... ${note}]`;
+  const keep = Math.max(0, maxBytes - byteLength(marker));
+  // Drop a trailing partial UTF-8 sequence.
+  return `${Buffer.from(s, 'utf8').subarray(0, keep).toString('utf8').replace(/�$/, '')}${marker}`;
+}
+
+function fence(text) {
+  return String(text || '').replace(/```/g, "'''");
+}
+
+// Uploaded files and images referenced from Markdown (GitHub attachments and
+// anything that looks like a file link). Only listed, never downloaded.
+export function extractAttachments(texts) {
+  const found = new Map();
+  const add = (name, url) => {
+    if (!found.has(url) && found.size < MAX_ATTACHMENTS) found.set(url, { name: name || url.split('/').pop(), url });
+  };
+  for (const text of texts) {
+    const s = String(text || '');
+    for (const m of s.matchAll(/!?\[([^\]]*)\]\((https?:\/\/[^)\s]+)\)/g)) {
+      const isImage = m[0].startsWith('!');
+      if (isImage || isAttachmentUrl(m[2])) add(m[1], m[2]);
+    }
+    for (const m of s.matchAll(/<img[^>]+src="(https?:\/\/[^"]+)"[^>]*>/gi)) add(null, m[1]);
+    for (const m of s.matchAll(/(?<![(\["])(https?:\/\/[^\s)<>"]+)/g)) {
+      if (isAttachmentUrl(m[1])) add(null, m[1]);
+    }
+  }
+  return Array.from(found.values());
+}
+
+function isAttachmentUrl(url) {
+  return /github\.com\/user-attachments\/|user-images\.githubusercontent\.com|private-user-images\.githubusercontent\.com|\/files\/\d+\//.test(url)
+    || /\.(png|jpe?g|gif|webp|svg|pdf|zip|log|txt|csv|json|mp4|mov)(\?|$)/i.test(url);
+}
+
+// `#12`, `owner/name#12` and issue/PR URLs, excluding the item itself.
+export function extractLinkedIssues(texts, repo, selfNumber = null) {
+  const refs = new Map();
+  const add = (r, n) => {
+    const number = Number(n);
+    const key = `${r.toLowerCase()}#${number}`;
+    if (!number || (r.toLowerCase() === repo.toLowerCase() && number === Number(selfNumber))) return;
+    if (!refs.has(key)) refs.set(key, { repo: r, number });
+  };
+  for (const text of texts) {
+    // Code blocks are mostly logs and diffs; `#1` there is rarely a reference.
+    const s = String(text || '').replace(/```[\s\S]*?```/g, '');
+    for (const m of s.matchAll(/https:\/\/github\.com\/([\w.-]+\/[\w.-]+)\/(?:issues|pull)\/(\d+)/g)) add(m[1], m[2]);
+    for (const m of s.matchAll(/(?:^|[\s(])([\w.-]+\/[\w.-]+)?#(\d+)\b/g)) add(m[1] || repo, m[2]);
+  }
+  return Array.from(refs.values());
+}
+
+async function summarizeLinkedIssues(gh, refs, limit = MAX_LINKS) {
+  const lines = [];
+  for (const ref of refs.slice(0, limit)) {
+    const label = ref.repo.toLowerCase() === gh.repo.toLowerCase() ? `#${ref.number}` : `${ref.repo}#${ref.number}`;
+    let issue = null;
+    try {
+      issue = await gh.getJson(`/repos/${ref.repo}/issues/${ref.number}`);
+    } catch (err) {
+      if (isRateLimitError(err)) throw err;
+    }
+    if (!issue) {
+      lines.push(`- ${label}: not accessible`);
+      continue;
+    }
+    const kind = issue.pull_request ? 'PR' : 'issue';
+    const snippet = String(issue.body || '').replace(/\s+/g, ' ').trim().slice(0, LINK_SNIPPET_CHARS);
+    lines.push(`- ${label} (${issue.state} ${kind}): ${issue.title}${snippet ? ` - ${snippet}${issue.body.length > LINK_SNIPPET_CHARS ? '...' : ''}` : ''}`);
+  }
+  if (refs.length > limit) lines.push(`- ... ${refs.length - limit} more not summarized`);
+  return lines;
+}
+
+// Attachment and linked-issue summary for the given texts, or '' if none.
+async function referencesSection(gh, texts, selfNumber) {
+  const attachments = extractAttachments(texts);
+  const linked = await summarizeLinkedIssues(gh, extractLinkedIssues(texts, gh.repo, selfNumber));
+  const parts = [];
+  if (attachments.length) {
+    parts.push('### Attachments', ...attachments.map((a) => `- ${a.name}: ${a.url}`), '');
+  }
+  if (linked.length) parts.push('### Linked issues and PRs', ...linked, '');
+  return parts.join('\n');
+}
+
+async function listIssueComments(gh, number) {
+  const comments = [];
+  let url = `/repos/${gh.repo}/issues/${number}/comments?per_page=100`;
+  for (let i = 0; url && i < MAX_COMMENT_PAGES; i += 1) {
+    const page = await gh.getPage(url);
+    comments.push(...(page.data || []));
+    url = page.next;
+  }
+  return comments.filter((c) => !String(c.body || '').includes(REPORT_MARKER));
+}
+
+function formatComment(c) {
+  return `#### @${c.user?.login || 'unknown'} (${c.created_at})\n${String(c.body || '').trim()}\n`;
+}
+
+// Newest comments are kept first; the thread is printed oldest to newest.
+function fitComments(comments, maxBytes) {
+  const kept = [];
+  let used = 0;
+  for (let i = comments.length - 1; i >= 0; i -= 1) {
+    const text = formatComment(comments[i]);
+    const size = byteLength(text) + 1;
+    if (used + size > maxBytes) {
+      if (kept.length === 0) kept.unshift(truncateBytes(text, maxBytes, 'comment truncated'));
+      break;
+    }
+    kept.unshift(text);
+    used += size;
+  }
+  const omitted = comments.length - kept.length;
+  return [...(omitted > 0 ? [`[${omitted} earlier comment(s) omitted]\n`] : []), ...kept].join('\n');
+}
+
+// Fetches the issue's current body and comments.
+export async function buildIssueContext(gh, number, maxBytes = contextBudget()) {
+  const issue = await gh.getJson(`/repos/${gh.repo}/issues/${number}`);
+  const comments = await listIssueComments(gh, number);
+  const refs = await referencesSection(gh, [issue.body, ...comments.map((c) => c.body)], issue.number);
+  let remaining = maxBytes - byteLength(refs);
+
+  const body = String(issue.body || '').trim() || '(no description)';
+  // The body is only cut when body and comments together do not fit; the
+  // comments can claim up to half of what is left.
+  const commentBytes = comments.reduce((n, c) => n + byteLength(formatComment(c)) + 1, 0);
+  const bodyBudget = remaining - Math.min(commentBytes, Math.floor(remaining / 2));
+  const head = `### Issue body\n${truncateBytes(body, Math.max(0, bodyBudget), 'issue body truncated')}\n`;
+  remaining -= byteLength(head);
+
+  const parts = [head];
+  if (comments.length) {
+    const header = `### Comments (${comments.length})\n`;
+    parts.push(header + fitComments(comments, Math.max(0, remaining - byteLength(header))));
+  }
+  if (refs) parts.push(refs);
+  return parts.join('\n').trim();
+}
+
+function lineRange(thread) {
+  const end = thread.line ?? thread.originalLine;
+  const start = thread.startLine ?? thread.originalStartLine ?? end;
+  if (end == null) return 'file';
+  return start != null && start !== end ? `lines ${start}-${end}` : `line ${end}`;
+}
+
+export function formatReviewThread(thread, index) {
+  const comments = thread.comments || [];
+  const hunk = String(comments[0]?.diffHunk || '').split('\n').slice(-DIFF_HUNK_LINES).join('\n');
+  const lines = [
+    `### Thread ${index + 1}: ${thread.path || '(no path)'} ${lineRange(thread)}${thread.diffSide ? ` (${thread.diffSide})` : ''}`,
+  ];
+  if (comments[0]?.url) lines.push(comments[0].url);
+  if (hunk) lines.push('```diff', fence(hunk), '```');
+  for (const c of comments) {
+    lines.push(`#### @${c.author || 'unknown'} (${c.createdAt})`, String(c.body || '').trim());
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Latest summary comment of a reviewer judged by summary (lib/reviewers.mjs).
+export function formatReviewSummary(summary) {
+  const lines = [`### ${summary.reviewer} summary (${summary.at}, not resolved)`];
+  if (summary.url) lines.push(summary.url);
+  lines.push(String(summary.body || '').trim());
+  return `${lines.join('\n')}\n`;
+}
+
+// `threads`: [{ path, line, startLine, originalLine, originalStartLine,
+// diffSide, comments: [{ author, body, createdAt, diffHunk, url }] }].
+// `summaries`: [{ reviewer, at, url, body }].
+export async function buildPullRequestContext(gh, number, { threads = [], summaries = [] } = {}, maxBytes = contextBudget()) {
+  const pr = await gh.getJson(`/repos/${gh.repo}/pulls/${number}`);
+  const texts = [
+    pr.body,
+    ...summaries.map((s) => s.body),
+    ...threads.flatMap((t) => (t.comments || []).map((c) => c.body)),
+  ];
+  const refs = await referencesSection(gh, texts, pr.number);
+  let remaining = maxBytes - byteLength(refs);
+
+  const body = String(pr.body || '').trim() || '(no description)';
+  // Review feedback is what the run is about; it can claim up to three
+  // quarters of what is left before the description is cut.
+  const feedback = [...summaries.map(formatReviewSummary), ...threads.map(formatReviewThread)];
+  const feedbackBytes = feedback.reduce((n, text) => n + byteLength(text) + 1, 0);
+  const bodyBudget = remaining - Math.min(feedbackBytes, Math.floor((remaining * 3) / 4));
+  const head = `### PR description\n${truncateBytes(body, Math.max(0, bodyBudget), 'PR description truncated')}\n`;
+  remaining -= byteLength(head);
+
+  const parts = [head];
+  if (feedback.length) {
+    const kept = [];
+    for (const text of feedback) {
+      if (byteLength(text) + 1 > remaining) {
+        if (kept.length === 0) kept.push(truncateBytes(text, Math.max(0, remaining - 200), 'feedback truncated'));
+        break;
+      }
+      kept.push(text);
+      remaining -= byteLength(text) + 1;
+    }
+    const omitted = feedback.length - kept.length;
+    const header = summaries.length
+      ? `### Open automation review feedback (${summaries.length} summary comment(s), ${threads.length} thread(s))\n`
+      : `### Unresolved automation review threads (${threads.length})\n`;
+    parts.push(header, ...kept);
+    if (omitted > 0) parts.push(`[${omitted} more unresolved item(s) omitted; see the PR]\n`);
+  }
+  if (refs) parts.push(refs);
+  return parts.join('\n').trim();
+}
@@ -0,0 +1,113 @@
+/**
+ * Repository events cursor (GET /repos/{repo}/events).
+ *
+ * Returns the events newer than `lastEventId`, oldest first, following the
+ * `Link: rel="next"` pages until the cursor is found. GitHub serves at most
+ * MAX_EVENT_PAGES pages of 100 (300 events); only when the cursor is not in
+ * any of them is `reset` set, with `gap` describing what is known about the
+ * events missed: the window that was read (`eventsRead` events back to
+ * `oldestAvailableAt`) and the time between the cursor event (`lastEventAt`,
+ * passed in from the state) and that window (`unreadSpanMs`). Event IDs are
+ * global across GitHub, so their number cannot be counted.
+ *
+ * The first page is requested with `If-None-Match: <etag>` when an ETag from
+ * the previous poll is known, so an idle repository costs no rate limit.
+ *
+ * With no cursor the newest event becomes the cursor and nothing is returned
+ * (`initialized`).
+ */
+
+export const EVENTS_PER_PAGE = 100;
+export const MAX_EVENT_PAGES = 3;
+
+// `newestEventAt` is the cursor's `created_at`; store it with the cursor and
+// pass it back as `opts.lastEventAt`.
+export async function readNewEvents(gh, repo, lastEventId, opts = {}) {
+  const cursorId = lastEventId ? String(lastEventId) : null;
+  const firstUrl = `/repos/${repo}/events?per_page=${EVENTS_PER_PAGE}`;
+  const first = await gh.getPage(firstUrl, cursorId && opts.etag ? { 'If-None-Match': opts.etag } : {});
+
+  if (first.notModified) {
+    return {
+      newestEventId: cursorId,
+      newestEventAt: opts.lastEventAt || null,
+      events: [],
+      initialized: false,
+      reset: false,
+      notModified: true,
+      etag: opts.etag,
+      pages: 1,
+      gap: null,
+    };
+  }
+
+  const firstEvents = Array.isArray(first.data) ? first.data : [];
+  const newestEventId = firstEvents[0]?.id ? String(firstEvents[0].id) : null;
+  const newestEventAt = firstEvents[0]?.created_at || null;
+  const base = { notModified: false, etag: first.etag || null, pages: 1, gap: null, newestEventAt };
+
+  if (!newestEventId) {
+    return { ...base, newestEventId: cursorId, newestEventAt: opts.lastEventAt || null, events: [], initialized: false, reset: false };
+  }
+  if (!cursorId) {
+    return { ...base, newestEventId, events: [], initialized: true, reset: false };
+  }
+
+  const collected = [];
+  let page = firstEvents;
+  let next = first.next;
+  let pages = 1;
+
+  for (;;) {
+    const idx = page.findIndex((e) => String(e.id) === cursorId);
+    if (idx !== -1) {
+      collected.push(...page.slice(0, idx));
+      return { ...base, pages, newestEventId, events: collected.reverse(), initialized: false, reset: false };
+    }
+    collected.push(...page);
+
+    // Event IDs only grow, so once a page reaches below the cursor the cursor
+    // event itself is gone (deleted or filtered) but nothing was skipped.
+    const oldest = page[page.length - 1];
+    if (oldest?.id && compareEventIds(oldest.id, cursorId) < 0) {
+      const newer = collected.filter((e) => compareEventIds(e.id, cursorId) > 0);
+      return { ...base, pages, newestEventId, events: newer.reverse(), initialized: false, reset: false };
+    }
+
+    if (!next || pages >= MAX_EVENT_PAGES) break;
+    const res = await gh.getPage(next);
+    pages += 1;
+    page = Array.isArray(res.data) ? res.data : [];
+    next = res.next;
+    if (page.length === 0) break;
+  }
+
+  const oldestAvailable = collected[collected.length - 1];
+  const lastEventAt = opts.lastEventAt || null;
+  const unreadSpanMs = lastEventAt && oldestAvailable?.created_at
+    ? Math.max(0, Date.parse(oldestAvailable.created_at) - Date.parse(lastEventAt))
+    : null;
+  return {
+    ...base,
+    pages,
+    newestEventId,
+    events: collected.reverse(),
+    initialized: false,
+    reset: true,
+    gap: {
+      lastEventId: cursorId,
+      lastEventAt,
+      oldestAvailableEventId: oldestAvailable?.id ? String(oldestAvailable.id) : null,
+      oldestAvailableAt: oldestAvailable?.created_at || null,
+      eventsRead: collected.length,
+      unreadSpanMs: Number.isFinite(unreadSpanMs) ? unreadSpanMs : null,
+    },
+  };
+}
+
+function compareEventIds(a, b) {
+  if (!/^\d+$/.test(String(a)) || !/^\d+$/.test(String(b))) return 0;
+  const x = BigInt(String(a));
+  const y = BigInt(String(b));
+  return x === y ? 0 : (x < y ? -1 : 1);
+}
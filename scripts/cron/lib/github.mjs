@@ -0,0 +1,310 @@
+/**
+ * Minimal GitHub REST + GraphQL client shared by the cron jobs.
+ *
+ * Credentials come from `opts.auth` (see auth.mjs; GitHub App installations are
+ * per repository owner, so a client is bound to `opts.repo`), else from
+ * `opts.token` / GH_TOKEN.
+ *
+ * Requests are retried with jittered exponential backoff on network errors,
+ * 429, 5xx and secondary rate limits, honouring `Retry-After` and
+ * `X-RateLimit-Reset`. When the budget is gone (down to the reserve), a reset
+ * within GITHUB_RATE_LIMIT_MAX_WAIT_MS is waited for; a later one throws a
+ * RateLimitError and every later request on the same `stats` fails fast, so
+ * callers that swallow errors cannot mistake an exhausted budget for "nothing
+ * found".
+ *
+ * Env vars:
+ * - GH_TOKEN (required at request time unless `opts.auth` is given)
+ * - GITHUB_API_URL (optional, default: https://api.github.com)
+ * - GITHUB_MAX_RETRIES (optional, default: 4)
+ * - GITHUB_RETRY_BASE_MS (optional, default: 1000)
+ * - GITHUB_RATE_LIMIT_MAX_WAIT_MS (optional, default: 60000)
+ * - GITHUB_RATE_LIMIT_RESERVE (optional, default: 0; wait or stop while this many requests remain)
+ */
+
+import { setTimeout as sleep } from 'node:timers/promises';
+
+export const DEFAULT_API_URL = 'https://api.github.com';
+
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+
+export class GitHubError extends Error {
+  constructor(message, { status = null, url = null, body = '' } = {}) {
+    super(message);
+    this.name = 'GitHubError';
+    this.status = status;
+    this.url = url;
+    this.body = body;
+  }
+}
+
+export class RateLimitError extends GitHubError {
+  constructor(message, { resource = null, resetAt = null, ...rest } = {}) {
+    super(message, rest);
+    this.name = 'RateLimitError';
+    this.resource = resource;
+    this.resetAt = resetAt;
+  }
+}
+
+export function isRateLimitError(err) {
+  return err instanceof RateLimitError;
+}
+
+// Per-run request accounting; share one instance between clients so the
+// summary reports the whole run and an exhausted budget stops every client.
+export function createRequestStats() {
+  return {
+    requests: 0,
+    notModified: 0,
+    retries: 0,
+    cost: {},
+    rateLimit: {},
+    exhausted: null,
+  };
+}
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && process.env[name] !== '' ? n : fallback;
+}
+
+function resourceForUrl(url) {
+  if (/\/graphql(\?|$)/.test(url)) return 'graphql';
+  if (/\/search\//.test(url)) return 'search';
+  return 'core';
+}
+
+export function createGitHubClient(opts = {}) {
+  const apiUrl = String(opts.apiUrl || process.env.GITHUB_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+  const userAgent = opts.userAgent || 'codex-cron';
+  const stats = opts.stats || createRequestStats();
+  const maxRetries = opts.maxRetries ?? envNumber('GITHUB_MAX_RETRIES', 4);
+  const retryBaseMs = opts.retryBaseMs ?? envNumber('GITHUB_RETRY_BASE_MS', 1000);
+  const maxWaitMs = opts.maxWaitMs ?? envNumber('GITHUB_RATE_LIMIT_MAX_WAIT_MS', 60000);
+  const reserve = opts.reserve ?? envNumber('GITHUB_RATE_LIMIT_RESERVE', 0);
+
+  async function getToken() {
+    if (opts.auth) return opts.auth.getToken(opts.repo);
+    const token = opts.token ?? process.env.GH_TOKEN;
+    if (!token) throw new Error('GH_TOKEN is not set in environment');
+    return token;
+  }
+
+  function resolveUrl(urlOrPath) {
+    const s = String(urlOrPath);
+    return /^https?:\/\//i.test(s) ? s : `${apiUrl}${s.startsWith('/') ? '' : '/'}${s}`;
+  }
+
+  function exhaust(resource, resetAt, message, extra = {}) {
+    stats.exhausted = { resource, resetAt, message };
+    return new RateLimitError(message, { resource, resetAt, ...extra });
+  }
+
+  function recordRateLimit(res, resource) {
+    const remaining = res.headers.get('x-ratelimit-remaining');
+    if (remaining == null) return stats.rateLimit[resource] || null;
+    const reset = Number(res.headers.get('x-ratelimit-reset'));
+    const info = {
+      limit: Number(res.headers.get('x-ratelimit-limit')) || null,
+      remaining: Number(remaining),
+      resetAt: Number.isFinite(reset) && reset > 0 ? new Date(reset * 1000).toISOString() : null,
+    };
+    stats.rateLimit[res.headers.get('x-ratelimit-resource') || resource] = info;
+    return info;
+  }
+
+  async function checkBudget(resource, url) {
+    if (stats.exhausted) {
+      throw new RateLimitError(`GitHub rate limit exhausted earlier in this run (${stats.exhausted.resource}); skipping ${url}`, {
+        resource: stats.exhausted.resource,
+        resetAt: stats.exhausted.resetAt,
+        url,
+      });
+    }
+    const info = stats.rateLimit[resource];
+    if (!info || info.remaining > reserve || !info.resetAt) return;
+    const waitMs = new Date(info.resetAt).getTime() - Date.now();
+    if (waitMs > maxWaitMs) {
+      throw exhaust(resource, info.resetAt, `GitHub ${resource} rate limit budget used (${info.remaining} left, resets ${info.resetAt})`, { url });
+    }
+    // The reserve is near enough: wait for the reset instead of spending it.
+    if (waitMs > 0) await sleep(waitMs + 1000);
+  }
+
+  function backoffMs(attempt) {
+    // Full jitter: uniform in [0, base * 2^attempt].
+    return Math.round(Math.random() * retryBaseMs * 2 ** attempt);
+  }
+
+  function retryDelayMs(res, info, attempt) {
+    const retryAfter = Number(res.headers.get('retry-after'));
+    if (Number.isFinite(retryAfter) && retryAfter > 0) return retryAfter * 1000;
+    if (info && info.remaining === 0 && info.resetAt) {
+      return Math.max(0, new Date(info.resetAt).getTime() - Date.now()) + 1000;
+    }
+    return backoffMs(attempt);
+  }
+
+  async function isRateLimited(res, info) {
+    if (res.status === 429) return true;
+    if (res.status !== 403) return false;
+    if (info && info.remaining === 0) return true;
+    if (res.headers.get('retry-after')) return true;
+    const text = await res.clone().text().catch(() => '');
+    return /rate limit|abuse detection/i.test(text);
+  }
+
+  async function request(urlOrPath, { method = 'GET', headers = {}, body } = {}) {
+    const url = resolveUrl(urlOrPath);
+    const resource = resourceForUrl(url);
+    await checkBudget(resource, url);
+
+    for (let attempt = 0; ; attempt += 1) {
+      let res;
+      try {
+        res = await fetch(url, {
+          method,
+          headers: {
+            Authorization: `Bearer ${await getToken()}`,
+            Accept: 'application/vnd.github+json',
+            'X-GitHub-Api-Version': '2022-11-28',
+            'User-Agent': userAgent,
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+            ...headers,
+          },
+          ...(body !== undefined ? { body: typeof body === 'string' ? body : JSON.stringify(body) } : {}),
+        });
+      } catch (err) {
+        if (attempt >= maxRetries) {
+          throw new GitHubError(`GitHub request failed for ${url}: ${err?.message || err}`, { url });
+        }
+        stats.retries += 1;
+        await sleep(backoffMs(attempt));
+        continue;
+      }
+
+      stats.requests += 1;
+      const info = recordRateLimit(res, resource);
+      if (res.status === 304) {
+        stats.notModified += 1;
+        return res;
+      }
+
+      const rateLimited = await isRateLimited(res, info);
+      if (!rateLimited && !RETRYABLE_STATUS.has(res.status)) {
+        // GraphQL cost is taken from the response body in graphql().
+        if (resource !== 'graphql') stats.cost[resource] = (stats.cost[resource] || 0) + 1;
+        return res;
+      }
+
+      const waitMs = retryDelayMs(res, info, attempt);
+      if (attempt >= maxRetries || waitMs > maxWaitMs) {
+        if (rateLimited) {
+          throw exhaust(resource, info?.resetAt || null, `GitHub ${res.status} rate limited for ${url} (retry in ${Math.round(waitMs / 1000)}s)`, {
+            status: res.status,
+            url,
+          });
+        }
+        return res;
+      }
+      stats.retries += 1;
+      await sleep(waitMs);
+    }
+  }
+
+  async function requestJson(urlOrPath, init = {}) {
+    const res = await request(urlOrPath, init);
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw new GitHubError(`GitHub ${res.status} for ${resolveUrl(urlOrPath)}: ${text.slice(0, 200)}`, {
+        status: res.status,
+        url: resolveUrl(urlOrPath),
+        body: text,
+      });
+    }
+    if (res.status === 204) return null;
+    return res.json();
+  }
+
+  function getJson(urlOrPath, extraHeaders = {}) {
+    return requestJson(urlOrPath, { headers: extraHeaders });
+  }
+
+  // Single page with the headers the caller needs for pagination and
+  // conditional requests. A 304 (If-None-Match hit) is not an error and does
+  // not count against the rate limit.
+  async function getPage(urlOrPath, extraHeaders = {}) {
+    const res = await request(urlOrPath, { headers: extraHeaders });
+    const etag = res.headers.get('etag');
+    if (res.status === 304) {
+      return { notModified: true, data: null, etag, next: null };
+    }
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw new GitHubError(`GitHub ${res.status} for ${resolveUrl(urlOrPath)}: ${text.slice(0, 200)}`, {
+        status: res.status,
+        url: resolveUrl(urlOrPath),
+        body: text,
+      });
+    }
+    return {
+      notModified: false,
+      data: await res.json(),
+      etag,
+      next: parseLinkHeader(res.headers.get('link')).next || null,
+    };
+  }
+
+  async function graphql(query, variables) {
+    const res = await request('/graphql', { method: 'POST', body: { query, variables } });
+    const json = await res.json().catch(() => ({}));
+    stats.cost.graphql = (stats.cost.graphql || 0) + (Number(json?.data?.rateLimit?.cost) || 1);
+    if (json?.errors?.some((e) => e?.type === 'RATE_LIMITED')) {
+      throw exhaust('graphql', stats.rateLimit.graphql?.resetAt || null, 'GitHub GraphQL rate limit exhausted', {
+        status: res.status,
+        url: resolveUrl('/graphql'),
+      });
+    }
+    if (!res.ok || json.errors) {
+      const msg = json?.errors?.[0]?.message || 'GraphQL error';
+      throw new GitHubError(`GitHub GraphQL error: ${msg}`, { status: res.status, url: resolveUrl('/graphql') });
+    }
+    return json.data;
+  }
+
+  return { apiUrl, repo: opts.repo || null, stats, getToken, request, requestJson, getJson, getPage, graphql };
+}
+
+// `<url>; rel="next", <url>; rel="last"` -> { next: url, last: url }
+export function parseLinkHeader(header) {
+  const links = {};
+  for (const part of String(header || '').split(',')) {
+    const m = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+    if (m) links[m[2]] = m[1];
+  }
+  return links;
+}
+
+export function splitRepo(repo) {
+  const [owner, name] = String(repo).split('/');
+  return { owner, name };
+}
+
+// For `.catch()` on optional lookups: a missing resource becomes null, but an
+// exhausted rate limit keeps propagating so the run can stop cleanly.
+export function nullUnlessRateLimited(err) {
+  if (isRateLimitError(err)) throw err;
+  return null;
+}
+
+export function requestSummary(stats) {
+  return {
+    requests: stats.requests,
+    notModified: stats.notModified,
+    retries: stats.retries,
+    cost: stats.cost,
+    rateLimit: stats.rateLimit,
+    ...(stats.exhausted ? { exhausted: stats.exhausted } : {}),
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * Append-only run history: one JSON line per item a job acted on or skipped,
+ * kept across ticks in $CODEX_AUTH_DIR/cron/run-history.jsonl (shared by both
+ * jobs and all repositories). The state files only keep cursors and markers;
+ * this file answers "what happened on PR #123 this week".
+ *
+ * A record is `{ id, at, job, repo, number, kind, status, ... }`:
+ * - `kind`: `issue`, `review`, `command`, `ci_fix`, `rebase`,
+ *   `ready_to_stage` or `ready` (PR reported ready, no run);
+ * - `status`: `succeeded`, `failed`, `cancelled`, `skipped` or `ready`;
+ * - for runs: `reason` (failure or skip reason), `exitCode`, `timedOut`,
+ *   `resolutionReason`, `postCheck` (command, exit code), `durationMs`,
+ *   `promptHash` (sha256 of the prompt, first 16 hex digits) and
+ *   `headShaBefore` / `headShaAfter`; with verified push also `rounds` and
+ *   `push` (`pushed` or why not).
+ * Records are redacted before they are written. Dry runs write nothing.
+ *
+ * Records older than the retention are pruned when the jobs append (at most
+ * about once a day) and with `run-history.mjs prune`.
+ *
+ * Writing is best-effort: a failure is returned as `{ error }` and never
+ * fails the run.
+ *
+ * Env vars:
+ * - CODEX_RUN_HISTORY (optional, default: 1; 0 disables it)
+ * - CODEX_RUN_HISTORY_PATH (optional, default: $CODEX_AUTH_DIR/cron/run-history.jsonl)
+ * - CODEX_RUN_HISTORY_RETENTION_DAYS (optional, default: 90)
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { withLock } from './lock.mjs';
+import { redactDeep } from './redact.mjs';
+import { defaultStatePath } from './state.mjs';
+
+export const HISTORY_PATH = process.env.CODEX_RUN_HISTORY_PATH || defaultStatePath('run-history.jsonl');
+export const RETENTION_DAYS = Number(process.env.CODEX_RUN_HISTORY_RETENTION_DAYS || 90);
+const ENABLED = process.env.CODEX_RUN_HISTORY !== '0';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Appends prune only once the oldest record is this far past the retention,
+// so the file is not rewritten on every tick.
+const PRUNE_SLACK_MS = DAY_MS;
+const FIRST_LINE_BYTES = 64 * 1024;
+
+export function promptHash(prompt) {
+  return crypto.createHash('sha256').update(String(prompt)).digest('hex').slice(0, 16);
+}
+
+function lockPathFor(historyPath) {
+  return `${historyPath}.lock`;
+}
+
+function parseLines(text) {
+  const records = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // A line cut short by a crash; the rest of the file is still good.
+    }
+  }
+  return records;
+}
+
+export function readHistory(historyPath = HISTORY_PATH) {
+  try {
+    return parseLines(fs.readFileSync(historyPath, 'utf8'));
+  } catch (err) {
+    if (err?.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+// `at` of the first (oldest) record, without reading the whole file.
+function oldestAt(historyPath) {
+  let fd;
+  try {
+    fd = fs.openSync(historyPath, 'r');
+  } catch {
+    return null;
+  }
+  try {
+    const buf = Buffer.alloc(FIRST_LINE_BYTES);
+    const n = fs.readSync(fd, buf, 0, buf.length, 0);
+    const [first] = parseLines(buf.subarray(0, n).toString('utf8').split('\n')[0]);
+    return first?.at || null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function writeLinesAtomic(historyPath, records) {
+  const tmp = `${historyPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, records.map((r) => `${JSON.stringify(r)}\n`).join(''), { encoding: 'utf8', mode: 0o600 });
+  fs.renameSync(tmp, historyPath);
+}
+
+// Drops records older than `days`. Caller holds the history lock.
+function pruneLocked(historyPath, { days, now, dryRun }) {
+  const cutoff = now - days * DAY_MS;
+  const records = readHistory(historyPath);
+  const kept = records.filter((r) => !(new Date(r.at).getTime() < cutoff));
+  const removed = records.length - kept.length;
+  if (removed > 0 && !dryRun) writeLinesAtomic(historyPath, kept);
+  return { kept: kept.length, removed, before: new Date(cutoff).toISOString() };
+}
+
+export async function pruneHistory({ historyPath = HISTORY_PATH, days = RETENTION_DAYS, now = Date.now(), dryRun = false } = {}) {
+  if (!fs.existsSync(historyPath)) return { kept: 0, removed: 0, before: new Date(now - days * DAY_MS).toISOString() };
+  return withLock(lockPathFor(historyPath), () => pruneLocked(historyPath, { days, now, dryRun }));
+}
+
+function parseTime(value, now) {
+  if (value === null || value === undefined || value === '') return null;
+  const relative = /^(\d+)([dhm])$/.exec(String(value));
+  if (relative) {
+    const unit = { d: DAY_MS, h: 60 * 60 * 1000, m: 60 * 1000 }[relative[2]];
+    return now - Number(relative[1]) * unit;
+  }
+  const ms = new Date(value).getTime();
+  if (Number.isNaN(ms)) throw new Error(`Invalid date ${value}; expected an ISO date or an age like 7d, 12h, 30m`);
+  return ms;
+}
+
+// `since` / `until` take ISO dates or ages (`7d`, `12h`, `30m`).
+export function filterHistory(records, { repo, number, job, kind, status, since, until, now = Date.now() } = {}) {
+  const sinceMs = parseTime(since, now);
+  const untilMs = parseTime(until, now);
+  return records.filter((r) => {
+    if (repo && r.repo !== repo) return false;
+    if (number !== null && number !== undefined && Number(r.number) !== Number(number)) return false;
+    if (job && r.job !== job) return false;
+    if (kind && r.kind !== kind) return false;
+    if (status && r.status !== status) return false;
+    const at = new Date(r.at).getTime();
+    if (sinceMs !== null && !(at >= sinceMs)) return false;
+    if (untilMs !== null && !(at <= untilMs)) return false;
+    return true;
+  });
+}
+
+export function createRunHistory({ job, repo, historyPath = HISTORY_PATH, enabled = ENABLED, dryRun = false, retentionDays = RETENTION_DAYS }) {
+  return {
+    path: historyPath,
+
+    // `entries`: [{ number, kind, status, ... }]; `id`, `at`, `job` and
+    // `repo` are filled in.
+    async record(entries) {
+      if (!enabled || dryRun || !entries.length) return null;
+      const at = new Date().toISOString();
+      const lines = entries.map((entry) => JSON.stringify(redactDeep({
+        id: crypto.randomBytes(6).toString('hex'),
+        at,
+        job,
+        repo,
+        ...entry,
+      }))).join('\n');
+      try {
+        fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+        await withLock(lockPathFor(historyPath), () => {
+          fs.appendFileSync(historyPath, `${lines}\n`, { encoding: 'utf8', mode: 0o600 });
+          const oldest = oldestAt(historyPath);
+          if (oldest && new Date(oldest).getTime() < Date.now() - retentionDays * DAY_MS - PRUNE_SLACK_MS) {
+            pruneLocked(historyPath, { days: retentionDays, now: Date.now(), dryRun: false });
+          }
+        });
+        return { recorded: entries.length };
+      } catch (err) {
+        return { error: String(err) };
+      }
+    },
+  };
+}
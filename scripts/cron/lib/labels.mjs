@@ -0,0 +1,24 @@
+/**
+ * Label helpers. GitHub returns labels as strings or `{ name }` objects
+ * depending on the endpoint.
+ */
+
+export function labelNames(labels) {
+  return (labels || [])
+    .map((l) => (typeof l === 'string' ? l : l?.name))
+    .filter(Boolean);
+}
+
+// "Module Spec", "module_spec" and "module-spec" all compare equal.
+export function normalizeLabel(value) {
+  return String(value || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[_\s]+/g, '-')
+    .replace(/-+/g, '-');
+}
+
+export function hasLabel(labels, target) {
+  const wanted = normalizeLabel(target);
+  return labelNames(labels).some((l) => normalizeLabel(l) === wanted);
+}
@@ -0,0 +1,179 @@
+/**
+ * Per-item retry ledger for Codex runs, kept in the repository's state.
+ *
+ * A failed run records `{ attempts, lastReason, lastStderrTail, lastFailureAt,
+ * nextEligibleAt }` under `failures["issue-<n>" | "pr-<n>"]`; the item is
+ * skipped until `nextEligibleAt` (exponential backoff). After
+ * CODEX_RETRY_MAX_ATTEMPTS failures it moves to `deadLetter` and is labelled
+ * CODEX_DEAD_LETTER_LABEL on GitHub. It stays there until that label is
+ * removed or the key is listed in CODEX_DEAD_LETTER_CLEAR. A successful run
+ * clears the item's failures.
+ *
+ * Env vars:
+ * - CODEX_RETRY_MAX_ATTEMPTS (optional, default: 3)
+ * - CODEX_RETRY_BASE_MS (optional, default: 900000; doubled per failed attempt)
+ * - CODEX_RETRY_MAX_BACKOFF_MS (optional, default: 86400000)
+ * - CODEX_DEAD_LETTER_LABEL (optional, default: codex-dead-letter)
+ * - CODEX_DEAD_LETTER_CLEAR (optional; `all` or comma-separated keys such as `issue-12,pr-34`)
+ */
+
+import { hasLabel } from './labels.mjs';
+import { withLock } from './lock.mjs';
+import { redact } from './redact.mjs';
+
+const MAX_ATTEMPTS = Number(process.env.CODEX_RETRY_MAX_ATTEMPTS || 3);
+const BASE_MS = Number(process.env.CODEX_RETRY_BASE_MS || 15 * 60 * 1000);
+const MAX_BACKOFF_MS = Number(process.env.CODEX_RETRY_MAX_BACKOFF_MS || 24 * 60 * 60 * 1000);
+const DEAD_LETTER_LABEL = (process.env.CODEX_DEAD_LETTER_LABEL || 'codex-dead-letter').toLowerCase();
+const STDERR_TAIL_CHARS = 2000;
+
+export function backoffMs(attempts, { baseMs = BASE_MS, maxBackoffMs = MAX_BACKOFF_MS } = {}) {
+  return Math.min(maxBackoffMs, baseMs * 2 ** Math.max(0, attempts - 1));
+}
+
+export function parseClearList(value = process.env.CODEX_DEAD_LETTER_CLEAR) {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+  if (raw === '1' || raw.toLowerCase() === 'all') return 'all';
+  return new Set(raw.split(',').map((s) => s.trim()).filter(Boolean));
+}
+
+// `gh` is used to add the dead-letter label; `store`/`lockPath` are the repo's
+// state store and state lock, taken for every write.
+export function createRetryLedger({
+  gh,
+  store,
+  lockPath,
+  maxAttempts = MAX_ATTEMPTS,
+  baseMs = BASE_MS,
+  maxBackoffMs = MAX_BACKOFF_MS,
+  deadLetterLabel = DEAD_LETTER_LABEL,
+}) {
+  const mutate = (fn) => withLock(lockPath, () => {
+    const state = store.read();
+    const failures = { ...(state.failures || {}) };
+    const deadLetter = { ...(state.deadLetter || {}) };
+    const result = fn(failures, deadLetter);
+    store.update({ failures, deadLetter });
+    return result;
+  });
+
+  async function labelIssue(number) {
+    await gh.requestJson(`/repos/${gh.repo}/issues/${number}/labels`, {
+      method: 'POST',
+      body: { labels: [deadLetterLabel] },
+    });
+  }
+
+  return {
+    deadLetterLabel,
+
+    // Skip verdict for an item about to run. `labels` are the item's current
+    // label names; a dead-lettered item whose label was removed is released.
+    async check(key, labels = []) {
+      const state = store.read();
+      const dead = state.deadLetter?.[key];
+      if (dead) {
+        if (dead.labeled && !hasLabel(labels, deadLetterLabel)) {
+          await this.clear(key);
+          return { eligible: true, cleared: 'label_removed' };
+        }
+        return { eligible: false, reason: 'dead_letter', attempts: dead.attempts, lastReason: dead.lastReason };
+      }
+      const failure = state.failures?.[key];
+      if (failure?.nextEligibleAt && new Date(failure.nextEligibleAt).getTime() > Date.now()) {
+        return { eligible: false, reason: 'backoff', attempts: failure.attempts, nextEligibleAt: failure.nextEligibleAt };
+      }
+      return { eligible: true, attempts: failure?.attempts || 0 };
+    },
+
+    async recordFailure(key, number, { reason, stderrTail = '' }) {
+      const entry = await mutate((failures, deadLetter) => {
+        const attempts = (failures[key]?.attempts || 0) + 1;
+        const now = new Date();
+        const next = {
+          attempts,
+          lastReason: reason,
+          lastStderrTail: redact(String(stderrTail || '').slice(-STDERR_TAIL_CHARS)),
+          lastFailureAt: now.toISOString(),
+          nextEligibleAt: new Date(now.getTime() + backoffMs(attempts, { baseMs, maxBackoffMs })).toISOString(),
+        };
+        if (attempts < maxAttempts) {
+          failures[key] = next;
+          return { ...next, deadLettered: false };
+        }
+        delete failures[key];
+        deadLetter[key] = { number, attempts, lastReason: reason, lastStderrTail: next.lastStderrTail, deadAt: next.lastFailureAt, labeled: false };
+        return { ...deadLetter[key], deadLettered: true };
+      });
+
+      if (entry.deadLettered) {
+        // Only a label we managed to add can later be "removed" to release
+        // the item; otherwise CODEX_DEAD_LETTER_CLEAR is the way out.
+        const labeled = await labelIssue(number).then(() => true, () => false);
+        if (labeled) {
+          await mutate((failures, deadLetter) => {
+            if (deadLetter[key]) deadLetter[key].labeled = true;
+          });
+          entry.labeled = true;
+        }
+      }
+      return entry;
+    },
+
+    async recordSuccess(key) {
+      const state = store.read();
+      if (!state.failures?.[key]) return;
+      await mutate((failures) => {
+        delete failures[key];
+      });
+    },
+
+    // Records a finished run (`reason` null means success) and returns the
+    // `attempt` summary for the run entry, or null when the item is clean.
+    async recordOutcome(key, number, { reason, stderrTail = '' }) {
+      if (!reason) {
+        await this.recordSuccess(key);
+        return null;
+      }
+      const entry = await this.recordFailure(key, number, { reason, stderrTail });
+      return entry.deadLettered
+        ? { attempts: entry.attempts, deadLettered: true, labeled: Boolean(entry.labeled) }
+        : { attempts: entry.attempts, nextEligibleAt: entry.nextEligibleAt };
+    },
+
+    async clear(key) {
+      await mutate((failures, deadLetter) => {
+        delete failures[key];
+        delete deadLetter[key];
+      });
+    },
+
+    // Applies CODEX_DEAD_LETTER_CLEAR; returns the keys released.
+    async clearFromEnv(clearList = parseClearList()) {
+      if (!clearList) return [];
+      const state = store.read();
+      const keys = Object.keys(state.deadLetter || {}).filter((k) => clearList === 'all' || clearList.has(k));
+      if (keys.length === 0) return [];
+      await mutate((failures, deadLetter) => {
+        for (const key of keys) {
+          delete failures[key];
+          delete deadLetter[key];
+        }
+      });
+      return keys;
+    },
+
+    list() {
+      const dead = store.read().deadLetter || {};
+      return Object.entries(dead).map(([key, d]) => ({
+        key,
+        number: d.number,
+        attempts: d.attempts,
+        lastReason: d.lastReason,
+        deadAt: d.deadAt,
+        labeled: Boolean(d.labeled),
+      }));
+    },
+  };
+}
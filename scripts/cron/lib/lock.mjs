@@ -0,0 +1,196 @@
+/**
+ * Lockfiles in the state directory, so overlapping cron ticks, the webhook
+ * server and replicas sharing a volume never run the same work twice.
+ *
+ * A lock is a file created with O_EXCL holding `{ token, pid, hostname,
+ * startedAt, ... }`. While held, its mtime is touched every heartbeat. It is
+ * considered stale when the heartbeat is older than CODEX_CRON_LOCK_STALE_MS,
+ * or when it belongs to a dead PID on this host, and is then taken over.
+ *
+ * Two kinds are used by the jobs:
+ * - the state lock (`<state file>.lock`), held briefly around each
+ *   read-modify-write of the state file (cursor, bookkeeping), never across
+ *   GitHub calls;
+ * - per-item claims (`claims/<job>-<owner__name>-<item>.lock`), held for the
+ *   whole Codex run on one issue or PR, so runs can be split across replicas.
+ *
+ * Dry runs write no lockfiles: the jobs pass no state lock path
+ * (`withLock(null, fn)` just runs `fn`) and create their claims with `dryRun`.
+ *
+ * Env vars:
+ * - CODEX_CRON_LOCK_STALE_MS (optional, default: 300000)
+ * - CODEX_CRON_LOCK_WAIT_MS (optional, default: 30000; how long to wait for the state lock)
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { readJson } from './state.mjs';
+
+const STALE_MS = Number(process.env.CODEX_CRON_LOCK_STALE_MS || 300000);
+const WAIT_MS = Number(process.env.CODEX_CRON_LOCK_WAIT_MS || 30000);
+
+export class LockBusyError extends Error {
+  constructor(message, { path: lockPath = null, holder = null } = {}) {
+    super(message);
+    this.name = 'LockBusyError';
+    this.path = lockPath;
+    this.holder = holder;
+  }
+}
+
+export function isLockBusyError(err) {
+  return err instanceof LockBusyError;
+}
+
+export function readLock(lockPath) {
+  const info = readJson(lockPath);
+  if (!info) return null;
+  return { hostname: info.hostname, pid: info.pid, startedAt: info.startedAt, ...(info.item ? { item: info.item } : {}) };
+}
+
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err?.code === 'EPERM';
+  }
+}
+
+function isStale(lockPath, info, staleMs) {
+  let stat;
+  try {
+    stat = fs.statSync(lockPath);
+  } catch {
+    return false;
+  }
+  if (Date.now() - stat.mtimeMs > staleMs) return true;
+  // A file still being written has no content yet; only the mtime can age it.
+  if (!info) return false;
+  return info.hostname === os.hostname() && Number.isInteger(info.pid) && info.pid !== process.pid && !pidAlive(info.pid);
+}
+
+function createExclusive(lockPath, info) {
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  let fd;
+  try {
+    fd = fs.openSync(lockPath, 'wx', 0o600);
+  } catch (err) {
+    if (err?.code === 'EEXIST') return false;
+    throw err;
+  }
+  try {
+    fs.writeSync(fd, JSON.stringify(info));
+  } finally {
+    fs.closeSync(fd);
+  }
+  return true;
+}
+
+// Moves the stale file aside and checks it is the one we judged stale; if a
+// competing process replaced it in between, its fresh lock is put back.
+function takeOver(lockPath, staleInfo) {
+  const aside = `${lockPath}.stale-${process.pid}-${Date.now()}`;
+  try {
+    fs.renameSync(lockPath, aside);
+  } catch {
+    return;
+  }
+  const moved = readJson(aside);
+  if (moved?.token !== staleInfo?.token) {
+    try {
+      fs.linkSync(aside, lockPath);
+    } catch {
+      // Someone else already holds a newer lock; theirs wins.
+    }
+  }
+  fs.rmSync(aside, { force: true });
+}
+
+// Returns a held lock, or null when someone else holds a live one.
+export function tryAcquireLock(lockPath, { staleMs = STALE_MS, heartbeatMs = Math.min(30000, staleMs / 3), meta = {} } = {}) {
+  const info = {
+    ...meta,
+    token: crypto.randomUUID(),
+    pid: process.pid,
+    hostname: os.hostname(),
+    startedAt: new Date().toISOString(),
+  };
+
+  let tookOver = null;
+  if (!createExclusive(lockPath, info)) {
+    const current = readJson(lockPath);
+    if (!isStale(lockPath, current, staleMs)) return null;
+    takeOver(lockPath, current);
+    if (!createExclusive(lockPath, info)) return null;
+    tookOver = current ? { hostname: current.hostname, pid: current.pid, startedAt: current.startedAt } : {};
+  }
+
+  const handle = {
+    path: lockPath,
+    token: info.token,
+    tookOver,
+    lost: false,
+    release() {
+      clearInterval(timer);
+      if (readJson(lockPath)?.token === info.token) fs.rmSync(lockPath, { force: true });
+    },
+  };
+
+  const timer = setInterval(() => {
+    if (readJson(lockPath)?.token !== info.token) {
+      handle.lost = true;
+      clearInterval(timer);
+      return;
+    }
+    const now = new Date();
+    try {
+      fs.utimesSync(lockPath, now, now);
+    } catch {
+      handle.lost = true;
+      clearInterval(timer);
+    }
+  }, heartbeatMs);
+  timer.unref();
+
+  return handle;
+}
+
+export async function acquireLock(lockPath, { waitMs = WAIT_MS, pollMs = 1000, ...opts } = {}) {
+  const deadline = Date.now() + waitMs;
+  for (;;) {
+    const handle = tryAcquireLock(lockPath, opts);
+    if (handle) return handle;
+    if (Date.now() >= deadline) {
+      throw new LockBusyError(`lock ${lockPath} is held`, { path: lockPath, holder: readLock(lockPath) });
+    }
+    await sleep(pollMs);
+  }
+}
+
+export async function withLock(lockPath, fn, opts = {}) {
+  if (!lockPath) return fn(null);
+  const handle = await acquireLock(lockPath, opts);
+  try {
+    return await fn(handle);
+  } finally {
+    handle.release();
+  }
+}
+
+export function createClaims({ dir, job, repo, dryRun = false, ...opts }) {
+  const prefix = `${job}-${String(repo).replace('/', '__')}`;
+  const claimPath = (key) => path.join(dir, 'claims', `${prefix}-${key}.lock`);
+  return {
+    tryClaim(key) {
+      if (dryRun) return { path: null, token: null, tookOver: null, lost: false, release() {} };
+      return tryAcquireLock(claimPath(key), { ...opts, meta: { item: `${repo}#${key}` } });
+    },
+    holder(key) {
+      return readLock(claimPath(key));
+    },
+  };
+}
@@ -0,0 +1,162 @@
+/**
+ * Child-process helpers shared by the cron jobs.
+ *
+ * Children are spawned in their own process group with an optional
+ * wall-clock timeout. On timeout or cancellation the whole group gets SIGTERM,
+ * then SIGKILL after CODEX_KILL_GRACE_MS, so grandchildren (npm -> node ->
+ * esbuild, codex -> shell tools) do not outlive the run.
+ *
+ * Env vars:
+ * - CODEX_KILL_GRACE_MS (optional, default: 10000)
+ */
+
+import { spawn } from 'node:child_process';
+
+export const KILL_GRACE_MS = Number(process.env.CODEX_KILL_GRACE_MS || 10000);
+
+const running = new Set();
+let cancelled = false;
+
+// Keeps only the last `maxBytes` of a stream, trimming lazily so long-running
+// agents do not grow memory without bound.
+export function createTail(maxBytes) {
+  let buf = '';
+  return {
+    push(chunk) {
+      buf += String(chunk);
+      if (buf.length > maxBytes * 2) buf = buf.slice(-maxBytes);
+    },
+    value() {
+      return buf ? buf.slice(-maxBytes) : '';
+    },
+  };
+}
+
+export function envTimeoutMs(name, fallback) {
+  const raw = process.env[name];
+  const n = Number(raw);
+  return raw !== undefined && raw !== '' && Number.isFinite(n) ? n : fallback;
+}
+
+function signalGroup(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    try {
+      child.kill(signal);
+    } catch {
+      // Already gone.
+    }
+  }
+}
+
+function terminate(entry) {
+  if (entry.killTimer) return;
+  signalGroup(entry.child, 'SIGTERM');
+  entry.killTimer = setTimeout(() => signalGroup(entry.child, 'SIGKILL'), entry.killGraceMs);
+}
+
+// Resolves `{ code, signal, timedOut, cancelled, error }` once the child has
+// exited and its output is drained. `timeoutMs` <= 0 means no limit.
+export function spawnSupervised(cmd, args, opts = {}) {
+  const { timeoutMs = 0, killGraceMs = KILL_GRACE_MS, onStdout, onStderr, ...spawnOpts } = opts;
+  return new Promise((resolve) => {
+    if (cancelled) {
+      resolve({ code: 1, signal: null, timedOut: false, cancelled: true, error: null });
+      return;
+    }
+
+    const child = spawn(cmd, args, { ...spawnOpts, detached: true });
+    const entry = { child, killGraceMs, killTimer: null, timedOut: false, cancelled: false };
+    running.add(entry);
+
+    if (onStdout) child.stdout?.on('data', onStdout);
+    if (onStderr) child.stderr?.on('data', onStderr);
+
+    const timer = timeoutMs > 0
+      ? setTimeout(() => {
+        entry.timedOut = true;
+        terminate(entry);
+      }, timeoutMs)
+      : null;
+
+    let error = null;
+    child.on('error', (err) => {
+      error = err;
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      clearTimeout(entry.killTimer);
+      running.delete(entry);
+      resolve({
+        code: error ? 127 : code ?? 1,
+        signal: signal ?? null,
+        timedOut: entry.timedOut,
+        cancelled: entry.cancelled,
+        error,
+      });
+    });
+  });
+}
+
+// Shutdown path (SIGTERM from the platform): terminates every running child
+// group and makes later spawns return `cancelled` immediately.
+export function cancelChildren() {
+  cancelled = true;
+  for (const entry of running) {
+    entry.cancelled = true;
+    terminate(entry);
+  }
+  return running.size;
+}
+
+export function isCancelled() {
+  return cancelled;
+}
+
+// `opts.tailBytes` keeps only the end of stdout/stderr, for commands whose
+// output is only logged (post-checks, hooks). Git plumbing leaves it unset:
+// callers parse the whole output.
+export async function runCommand(cmd, args, opts = {}) {
+  const stdout = createTail(opts.tailBytes ?? Infinity);
+  const stderr = createTail(opts.tailBytes ?? Infinity);
+  const result = await spawnSupervised(cmd, args, {
+    cwd: opts.cwd || process.cwd(),
+    env: opts.env || process.env,
+    stdio: opts.stdio || 'pipe',
+    timeoutMs: opts.timeoutMs,
+    killGraceMs: opts.killGraceMs,
+    onStdout: (chunk) => stdout.push(chunk),
+    onStderr: (chunk) => stderr.push(chunk),
+  });
+  return {
+    code: result.code,
+    signal: result.signal,
+    stdout: stdout.value(),
+    stderr: result.error && !stderr.value() ? String(result.error) : stderr.value(),
+    timedOut: result.timedOut,
+    cancelled: result.cancelled,
+  };
+}
+
+// SIGTERM/SIGINT handling for a cron run: the first signal cancels running
+// children so the job can save state and print its summary; a second one
+// exits at once. Returns a getter for the signal received, if any.
+export function handleShutdownSignals() {
+  let received = null;
+  const onSignal = (signal) => {
+    if (received) process.exit(1);
+    received = signal;
+    cancelChildren();
+  };
+  process.on('SIGTERM', onSignal);
+  process.on('SIGINT', onSignal);
+  return () => received;
+}
+
+// Shell-style rendering of a command line for summaries (dry-run plans).
+export function formatCommand(cmd, args = []) {
+  return [cmd, ...args]
+    .map((a) => (/^[\w@%+=:,./<>-]+$/.test(String(a)) ? String(a) : `'${String(a).replace(/'/g, `'\\''`)}'`))
+    .join(' ');
+}
@@ -0,0 +1,148 @@
+/**
+ * Markdown prompt templates for the Codex runs.
+ *
+ * A template is picked per job, repository and item label. The first file
+ * that exists wins, looked up in CODEX_PROMPT_DIR (if set), then in the
+ * bundled scripts/cron/prompts:
+ *   <owner>__<name>/<job>.<label>.md   (per repository and label)
+ *   <owner>__<name>/<job>.md           (per repository)
+ *   <job>.<label>.md                   (per label, any repository)
+ *   <job>.md                           (job default)
+ * `<job>` is `issue-spec`, `pr-review`, `issue-command`, `pr-command`,
+ * `pr-ci-fix`, `pr-rebase` or `pr-repair`; labels are tried in the item's label
+ * order, lowercased, with anything outside [a-z0-9._-] replaced by `-`.
+ *
+ * Placeholders:
+ *   {{name}} / {{issue.title}}   variable (dotted paths; unknown names render empty;
+ *                                function values are awaited on first use)
+ *   {{include:AGENTS.md}}        file from the target repository (empty if missing)
+ *
+ * Env vars:
+ * - CODEX_PROMPT_DIR (optional; templates here take precedence over the bundled ones)
+ * - CODEX_PROMPT_INCLUDE_MAX_BYTES (optional, default: 20000; longer includes are truncated)
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const BUNDLED_PROMPT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'prompts');
+
+const INCLUDE_MAX_BYTES = Number(process.env.CODEX_PROMPT_INCLUDE_MAX_BYTES || 20000);
+const PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+export function templateDirs(env = process.env) {
+  return [env.CODEX_PROMPT_DIR, BUNDLED_PROMPT_DIR].filter(Boolean);
+}
+
+function labelSlug(label) {
+  return String(label).toLowerCase().replace(/[^a-z0-9._-]+/g, '-');
+}
+
+export function templateCandidates(job, repo, labels = []) {
+  const repoDir = repo.replace('/', '__');
+  const slugs = labels.map(labelSlug).filter(Boolean);
+  return [
+    ...slugs.map((label) => ({ file: path.join(repoDir, `${job}.${label}.md`), label })),
+    { file: path.join(repoDir, `${job}.md`), label: null },
+    ...slugs.map((label) => ({ file: `${job}.${label}.md`, label })),
+    { file: `${job}.md`, label: null },
+  ];
+}
+
+export function selectTemplate(job, repo, labels = [], dirs = templateDirs()) {
+  for (const candidate of templateCandidates(job, repo, labels)) {
+    for (const dir of dirs) {
+      const file = path.join(dir, candidate.file);
+      if (fs.existsSync(file)) {
+        return { path: file, label: candidate.label, text: fs.readFileSync(file, 'utf8') };
+      }
+    }
+  }
+  throw new Error(`No prompt template for ${job} in ${dirs.join(', ')}`);
+}
+
+function lookup(vars, name) {
+  let value = vars;
+  for (const part of name.split('.')) {
+    if (value === null || value === undefined) return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+// Include paths are relative to the repository root and may not leave it.
+export function safeIncludePath(p) {
+  const normalized = path.posix.normalize(String(p).trim().replace(/\\/g, '/'));
+  if (!normalized || normalized.startsWith('/') || normalized === '..' || normalized.startsWith('../')) return null;
+  return normalized;
+}
+
+function truncate(text, maxBytes) {
+  const buf = Buffer.from(text, 'utf8');
+  if (buf.length <= maxBytes) return text;
+  return `${buf.subarray(0, maxBytes).toString('utf8')}\n[... truncated at ${maxBytes} bytes]`;
+}
+
+// Includes read from a local clone.
+export function includeFromDir(dir) {
+  return async (p) => {
+    const file = path.join(dir, p);
+    return fs.existsSync(file) && fs.statSync(file).isFile() ? fs.readFileSync(file, 'utf8') : null;
+  };
+}
+
+// Includes read through the contents API (dry runs and the render CLI, which
+// have no clone). `ref` defaults to the default branch.
+export function includeFromGitHub(gh, ref = null) {
+  return async (p) => {
+    const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+    const url = `/repos/${gh.repo}/contents/${p.split('/').map(encodeURIComponent).join('/')}${query}`;
+    const data = await gh.getJson(url).catch((err) => {
+      if (err?.status === 404) return null;
+      throw err;
+    });
+    if (!data || Array.isArray(data) || data.type !== 'file' || typeof data.content !== 'string') return null;
+    return Buffer.from(data.content, data.encoding || 'base64').toString('utf8');
+  };
+}
+
+// Renders `text` with `vars`. `include` resolves a repository path to its
+// contents (or null). Returns the prompt plus the unknown placeholders and
+// includes seen, for the render CLI.
+export async function renderTemplate(text, vars, { include = null, maxIncludeBytes = INCLUDE_MAX_BYTES } = {}) {
+  const unknown = [];
+  const includes = [];
+  const values = new Map();
+
+  for (const match of text.matchAll(PLACEHOLDER)) {
+    const token = match[1];
+    if (values.has(token)) continue;
+    if (token.startsWith('include:')) {
+      const p = safeIncludePath(token.slice('include:'.length));
+      const content = p && include ? await include(p) : null;
+      includes.push({ path: p || token.slice('include:'.length).trim(), found: content !== null });
+      values.set(token, content === null ? '' : truncate(content.replace(/\s+$/, ''), maxIncludeBytes));
+      continue;
+    }
+    let value = lookup(vars, token);
+    // Expensive values (issue/PR context) are functions, only called when
+    // the template uses them.
+    if (typeof value === 'function') value = await value();
+    if (value === undefined || value === null) {
+      unknown.push(token);
+      values.set(token, '');
+    } else {
+      values.set(token, Array.isArray(value) ? value.join(', ') : String(value));
+    }
+  }
+
+  const prompt = text.replace(PLACEHOLDER, (_, token) => values.get(token)).replace(/\s+$/, '');
+  return { prompt, unknown, includes };
+}
+
+export async function renderPrompt(job, repo, labels, vars, opts = {}) {
+  const template = selectTemplate(job, repo, labels, opts.dirs);
+  const rendered = await renderTemplate(template.text, { ...vars, label: template.label ?? '' }, opts);
+  return { ...rendered, template: template.path, label: template.label };
+}
@@ -0,0 +1,104 @@
+/**
+ * Auto-rebase of open PRs that conflict with (`mergeable_state: dirty`) or
+ * fell behind (`behind`) their base branch.
+ *
+ * Opt-in with `autoRebase` in CODEX_CRON_CONFIG (under `defaults` or per
+ * repository), or for every repository with CODEX_AUTO_REBASE=1:
+ *   "autoRebase": { "strategy": "rebase", "codex": true }
+ * `true` uses the defaults, `false` turns it off for one repository.
+ * - `strategy`: `rebase` (default) replays the PR commits on the base branch;
+ *   `merge` merges the base branch into the PR branch.
+ * - `codex` (default true): conflicts the mechanical step leaves are handed to
+ *   Codex (`pr-rebase` prompt template); with `false` they are only reported.
+ *
+ * The job does the git work and the push itself: the result is pushed with
+ * `--force-with-lease` against the head the job started from, so commits
+ * pushed in the meantime are never overwritten. Codex only resolves
+ * conflicts; a Codex resolution must pass the post-check before it is pushed.
+ *
+ * Attempts are kept per PR in the state file (`rebases`); a PR is not tried
+ * again until its head or its base branch moves.
+ *
+ * Env vars:
+ * - CODEX_AUTO_REBASE (optional, default: 0; 1 enables it for repositories without `autoRebase`)
+ * - CODEX_AUTO_REBASE_STRATEGY (optional, default: rebase)
+ */
+
+import { withLock } from './lock.mjs';
+import { conflictedFiles } from './git.mjs';
+import { runCommand } from './process.mjs';
+
+export const STRATEGIES = ['rebase', 'merge'];
+export const REBASE_STATES = new Set(['dirty', 'behind']);
+// Outcomes after which the PR is in the state the job wanted.
+export const REBASE_SUCCESS = new Set(['rebased', 'merged', 'resolved', 'up_to_date']);
+// Expected outcomes that leave the PR as it was and are only reported:
+// conflicts nobody was asked to resolve (`codex: false`), and a branch that
+// moved since it was cloned (tried again with the new head).
+export const REBASE_REPORTED = new Set(['conflicts', 'push_rejected']);
+
+const STRATEGY = process.env.CODEX_AUTO_REBASE_STRATEGY || 'rebase';
+
+// `{ enabled, strategy, codex }` from the repo's `autoRebase` value.
+export function autoRebaseSettings(value, env = process.env) {
+  const raw = value ?? env.CODEX_AUTO_REBASE === '1';
+  if (!raw) return { enabled: false, strategy: STRATEGY, codex: true };
+  const opts = raw === true ? {} : raw;
+  if (typeof opts !== 'object' || Array.isArray(opts)) {
+    throw new Error('"autoRebase" must be true, false or an object');
+  }
+  const strategy = opts.strategy || STRATEGY;
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown "autoRebase.strategy" "${strategy}"; expected one of ${STRATEGIES.join(', ')}`);
+  }
+  return { enabled: opts.enabled !== false, strategy, codex: opts.codex !== false };
+}
+
+export function needsRebase(pr) {
+  return pr?.state === 'open' && REBASE_STATES.has(pr?.mergeable_state);
+}
+
+export function integrationArgs(strategy, baseRef, headRef) {
+  if (strategy !== 'merge') return ['rebase', `origin/${baseRef}`];
+  return ['merge', '--no-edit', '-m', `Merge branch '${baseRef}' into ${headRef}`, `origin/${baseRef}`];
+}
+
+// Rebases onto / merges `origin/<baseRef>`. Conflicts leave the rebase or
+// merge in progress and are returned; any other failure throws.
+export async function integrateBase(dir, { baseRef, headRef, strategy, env = process.env }) {
+  const args = integrationArgs(strategy, baseRef, headRef);
+  const result = await runCommand('git', args, { cwd: dir, env: { ...env, GIT_EDITOR: 'true' } });
+  if (result.code === 0) return { conflicts: [] };
+  const conflicts = await conflictedFiles(dir);
+  if (!conflicts.length) throw new Error(`git ${args[0]} failed: ${result.stderr || result.stdout}`);
+  return { conflicts };
+}
+
+// State-backed attempt log. `check` is read-only; `record` takes the lock.
+export function createRebaseTracker({ store, lockPath, settings = autoRebaseSettings(undefined) }) {
+  return {
+    ...settings,
+
+    check(number, headSha, baseSha) {
+      const last = (store.read().rebases || {})[String(number)];
+      if (last && last.headSha === headSha && last.baseSha === baseSha) {
+        return { eligible: false, reason: 'rebase_already_tried', outcome: last.outcome };
+      }
+      return { eligible: true };
+    },
+
+    // `runs`: [{ pr, headSha, baseSha, outcome }] finished this tick, with
+    // the head and base they started from.
+    async record(runs) {
+      if (!runs.length) return;
+      await withLock(lockPath, () => {
+        const rebases = store.read().rebases || {};
+        const at = new Date().toISOString();
+        for (const run of runs) {
+          rebases[String(run.pr)] = { headSha: run.headSha, baseSha: run.baseSha, outcome: run.outcome, at };
+        }
+        store.update({ rebases });
+      });
+    },
+  };
+}
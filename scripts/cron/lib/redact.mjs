@@ -0,0 +1,161 @@
+/**
+ * Masks credentials in everything that leaves the jobs: the JSON summaries
+ * (Railway logs), error messages, state entries, GitHub comments and
+ * notifications.
+ *
+ * Masked with `***`:
+ * - the values of GH_TOKEN, GITHUB_TOKEN, OPENAI_API_KEY, GITHUB_WEBHOOK_SECRET,
+ *   GITHUB_APP_PRIVATE_KEY and CODEX_AUTH, and of the env vars named in
+ *   CODEX_REDACT_ENV or in `redact.env` of CODEX_CRON_CONFIG
+ *   ({ "redact": { "env": ["NPM_TOKEN"] } });
+ * - the tokens inside CODEX_AUTH and $CODEX_AUTH_DIR/auth.json (strings under
+ *   keys containing "token", "key" or "secret"; the file is re-read when it
+ *   changes, since Codex rotates its tokens);
+ * - values registered at run time with `addSecret` (GitHub App installation
+ *   tokens and JWTs);
+ * - common token shapes even when the value is not known here: GitHub tokens
+ *   (ghp_, gho_, ghu_, ghs_, ghr_, github_pat_), OpenAI keys (sk-), JWTs,
+ *   credentials in URLs, `Bearer` / `Authorization: token` headers and PEM
+ *   private keys.
+ *
+ * Env vars:
+ * - CODEX_REDACT_ENV (optional; comma-separated names of more env vars to mask)
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { readConfigFile } from './config.mjs';
+
+const SECRET_ENV_VARS = ['GH_TOKEN', 'GITHUB_TOKEN', 'OPENAI_API_KEY', 'GITHUB_WEBHOOK_SECRET', 'GITHUB_APP_PRIVATE_KEY', 'CODEX_AUTH'];
+const SECRET_KEY = /token|key|secret/i;
+const MIN_SECRET_LENGTH = 8;
+
+const PATTERNS = [
+  [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g, '***'],
+  [/\bgh[pousr]_[A-Za-z0-9]{20,}\b/g, '***'],
+  [/\bgithub_pat_[A-Za-z0-9_]{20,}\b/g, '***'],
+  [/\bsk-[A-Za-z0-9_-]{20,}\b/g, '***'],
+  [/\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g, '***'],
+  [/(\/\/[^/\s:@]+:)[^@\s/]+@/g, '$1***@'],
+  [/(\bBearer\s+)[A-Za-z0-9._~+/=-]{8,}/gi, '$1***'],
+  [/(\bAuthorization:\s*(?:token|Basic)\s+)[A-Za-z0-9._~+/=-]{8,}/gi, '$1***'],
+];
+
+const runtimeSecrets = new Set();
+let envCache = null;
+let fileCache = { path: null, mtimeMs: null, values: [] };
+
+// Values registered while the job runs (tokens minted here, not in the env).
+export function addSecret(value) {
+  const v = String(value || '').trim();
+  if (v.length >= MIN_SECRET_LENGTH) runtimeSecrets.add(v);
+}
+
+// String values under token/key/secret keys anywhere in a parsed auth.json.
+export function authTokens(value, out = []) {
+  if (Array.isArray(value)) {
+    for (const v of value) authTokens(v, out);
+  } else if (value && typeof value === 'object') {
+    for (const [key, v] of Object.entries(value)) {
+      if (typeof v === 'string' && SECRET_KEY.test(key)) out.push(v);
+      else authTokens(v, out);
+    }
+  }
+  return out;
+}
+
+function parseAuth(text) {
+  try {
+    return authTokens(JSON.parse(text));
+  } catch {
+    return [];
+  }
+}
+
+function configuredEnvNames(env) {
+  const names = String(env.CODEX_REDACT_ENV || '').split(',');
+  try {
+    const extra = readConfigFile(env)?.redact?.env;
+    if (Array.isArray(extra)) names.push(...extra);
+  } catch {
+    // An unreadable config fails the job elsewhere; masking goes on without it.
+  }
+  return names.map((n) => String(n).trim()).filter(Boolean);
+}
+
+function envSecrets(env) {
+  const names = [...SECRET_ENV_VARS, ...configuredEnvNames(env)];
+  const values = names.map((name) => String(env[name] || '').trim());
+  // The private key may be given with literal `\n`; mask both forms.
+  if (env.GITHUB_APP_PRIVATE_KEY) values.push(env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n').trim());
+  if (env.CODEX_AUTH) values.push(...parseAuth(env.CODEX_AUTH));
+  return values;
+}
+
+function authFileSecrets(env) {
+  const home = env.CODEX_AUTH_DIR || path.join(env.HOME || '/root', '.codex');
+  const file = path.join(home, 'auth.json');
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.statSync(file).mtimeMs;
+  } catch {
+    return [];
+  }
+  if (fileCache.path !== file || fileCache.mtimeMs !== mtimeMs) {
+    let text = '';
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch {
+      // Unreadable: nothing to add.
+    }
+    fileCache = { path: file, mtimeMs, values: parseAuth(text) };
+  }
+  return fileCache.values;
+}
+
+// Known secret values, longest first so a secret that contains another is
+// masked whole.
+export function secretValues(env = process.env) {
+  let fromEnv;
+  if (env === process.env) {
+    envCache ??= envSecrets(env);
+    fromEnv = envCache;
+  } else {
+    fromEnv = envSecrets(env);
+  }
+  const all = new Set([...fromEnv, ...authFileSecrets(env), ...runtimeSecrets].map((v) => String(v).trim()));
+  return [...all].filter((v) => v.length >= MIN_SECRET_LENGTH).sort((a, b) => b.length - a.length);
+}
+
+export function redact(text, secrets = secretValues()) {
+  let out = String(text ?? '');
+  for (const secret of secrets) {
+    if (secret && out.includes(secret)) out = out.split(secret).join('***');
+    // Tokens also show up URL-encoded (clone URLs).
+    const encoded = encodeURIComponent(secret);
+    if (encoded !== secret && out.includes(encoded)) out = out.split(encoded).join('***');
+  }
+  for (const [pattern, replacement] of PATTERNS) {
+    out = out.replace(pattern, replacement);
+  }
+  return out;
+}
+
+// Copy of `value` with every string (object keys excepted) redacted; for
+// summaries and other JSON that is logged or stored.
+export function redactDeep(value, secrets = secretValues()) {
+  if (typeof value === 'string') return redact(value, secrets);
+  if (Array.isArray(value)) return value.map((v) => redactDeep(v, secrets));
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactDeep(v, secrets)]));
+  }
+  return value;
+}
+
+// `console.log(JSON.stringify(value))`, redacted. The one way the jobs print
+// summaries and errors.
+export function logJson(value, stream = 'stdout') {
+  const line = JSON.stringify(redactDeep(value));
+  if (stream === 'stderr') console.error(line);
+  else console.log(line);
+}
@@ -0,0 +1,186 @@
+/**
+ * Run results posted back to GitHub.
+ *
+ * Each issue/PR a job acts on gets one sticky comment, found again through a
+ * hidden marker (`<!-- codex-cron:<job>:<key> -->`) and edited in place as the
+ * run moves through queued -> running -> succeeded/failed. The PR job also sets
+ * a commit status for the post-check on the commit it checked.
+ *
+ * Reporting is best-effort: a failed API call is returned as `{ error }` and
+ * never fails the run.
+ *
+ * Env vars:
+ * - CODEX_GITHUB_COMMENTS (optional, default: 1; 0 disables the sticky comments)
+ * - CODEX_COMMIT_STATUS (optional, default: 1; 0 disables the post-check status)
+ * - CODEX_COMMIT_STATUS_CONTEXT (optional, default: codex/post-check)
+ * - CODEX_COMMENT_LOG_LINES (optional, default: 40)
+ */
+
+import { redact } from './redact.mjs';
+
+const COMMENTS_ENABLED = process.env.CODEX_GITHUB_COMMENTS !== '0';
+const STATUS_ENABLED = process.env.CODEX_COMMIT_STATUS !== '0';
+const STATUS_CONTEXT = process.env.CODEX_COMMIT_STATUS_CONTEXT || 'codex/post-check';
+const LOG_LINES = Number(process.env.CODEX_COMMENT_LOG_LINES || 40);
+const MAX_COMMENT_PAGES = 5;
+
+function marker(job, key) {
+  return `<!-- codex-cron:${job}:${key} -->`;
+}
+
+function statusMarker(status) {
+  return `<!-- codex-cron-status:${status} -->`;
+}
+
+function logTail(text, lines = LOG_LINES) {
+  const trimmed = String(text || '').replace(/\s+$/, '');
+  if (!trimmed) return '';
+  // Keep fences from breaking out of the code block.
+  return trimmed.split(/\r?\n/).slice(-lines).join('\n').replace(/```/g, "'''");
+}
+
+function postCheckLine(postCheck) {
+  if (!postCheck) return null;
+  if (postCheck.skipped) return `skipped (${postCheck.reason})`;
+  const outcome = postCheck.timedOut ? 'timed out' : `exit ${postCheck.exitCode}`;
+  return `\`${postCheck.command}\`: ${outcome}`;
+}
+
+function reviewThreadsLine(threads) {
+  if (!threads) return null;
+  if (threads.skipped) return `not followed up (${threads.reason})`;
+  if (threads.error) return `follow-up failed: ${threads.error}`;
+  const parts = [`${threads.addressed.length} addressed`, `${threads.needsHuman.length} left for a human`];
+  if (threads.errors.length) parts.push(`${threads.errors.length} failed`);
+  return parts.join(', ');
+}
+
+function commandLine(command) {
+  if (!command) return null;
+  const by = command.user ? ` from @${command.user}` : '';
+  return command.url ? `[\`/codex ${command.name}\`](${command.url})${by}` : `\`/codex ${command.name}\`${by}`;
+}
+
+function ciFixLine(ciFix) {
+  if (!ciFix) return null;
+  return `attempt ${ciFix.attempt} of ${ciFix.maxAttempts} for ${ciFix.checks.join(', ')} on ${String(ciFix.sha).slice(0, 7)}`;
+}
+
+function rebaseLine(rebase) {
+  if (!rebase) return null;
+  const conflicts = rebase.conflicts?.length ? `, ${rebase.conflicts.length} conflicted file(s)` : '';
+  return `\`git ${rebase.strategy}\` onto \`${rebase.base}\` (was ${rebase.mergeableState}): ${rebase.outcome}${conflicts}`;
+}
+
+function roundsLine(rounds) {
+  if (!rounds?.length) return null;
+  return rounds.map((r) => {
+    if (r.exitCode !== 0) return `${r.round}: ${r.timedOut ? 'Codex timed out' : `Codex exit ${r.exitCode}`}`;
+    if (r.postCheck?.skipped) return `${r.round}: post-check skipped`;
+    return `${r.round}: post-check ${r.postCheck?.timedOut ? 'timed out' : `exit ${r.postCheck?.exitCode}`}`;
+  }).join(', ');
+}
+
+function pushLine(push) {
+  if (!push) return null;
+  if (push.pushed) return `pushed ${String(push.sha).slice(0, 7)}`;
+  return push.error ? `${push.reason}: ${push.error}` : push.reason;
+}
+
+function attemptLine(attempt) {
+  if (!attempt) return null;
+  if (attempt.deadLettered) return `${attempt.attempts}, giving up (dead-lettered; remove the label to retry)`;
+  return `${attempt.attempts}, next retry after ${attempt.nextEligibleAt}`;
+}
+
+export function renderComment(job, key, fields) {
+  const rows = [
+    ['Status', fields.status],
+    ['Command', commandLine(fields.command)],
+    ['CI fix', ciFixLine(fields.ciFix)],
+    ['Auto-rebase', rebaseLine(fields.rebase)],
+    ['Exit code', fields.exitCode],
+    ['Timed out', fields.timedOut ? 'yes' : null],
+    ['Branch', fields.branch ? `\`${fields.branch}\`` : null],
+    ['Pull request', fields.prUrl],
+    ['Verification', fields.verifyError],
+    ['Resolution', fields.resolutionReason],
+    ['Review threads', reviewThreadsLine(fields.reviewThreads)],
+    ['Post-check', postCheckLine(fields.postCheck)],
+    ['Rounds', roundsLine(fields.rounds)],
+    ['Push', pushLine(fields.push)],
+    ['Failed attempts', attemptLine(fields.attempt)],
+    ['Error', fields.error ? String(fields.error).slice(0, 300) : null],
+  ].filter(([, v]) => v !== null && v !== undefined && v !== '');
+
+  const lines = [
+    marker(job, key),
+    statusMarker(fields.status),
+    `**Codex ${job}**: ${fields.status}`,
+    '',
+    '| | |',
+    '| --- | --- |',
+    ...rows.map(([k, v]) => `| ${k} | ${String(v).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ')} |`),
+  ];
+  const tail = logTail(fields.logTail);
+  if (tail) {
+    lines.push('', '<details><summary>Log tail</summary>', '', '```', tail, '```', '', '</details>');
+  }
+  lines.push('', `<sub>Updated ${new Date().toISOString()}</sub>`);
+  // Masked as a whole: any field (errors, branch names, the log tail) may carry a token.
+  return redact(lines.join('\n'));
+}
+
+export function createReporter({ gh, job, comments = COMMENTS_ENABLED, statuses = STATUS_ENABLED, statusContext = STATUS_CONTEXT }) {
+  const commentIds = new Map();
+
+  async function findComment(number, key) {
+    if (commentIds.has(key)) return commentIds.get(key);
+    const needle = marker(job, key);
+    let url = `/repos/${gh.repo}/issues/${number}/comments?per_page=100`;
+    for (let i = 0; url && i < MAX_COMMENT_PAGES; i += 1) {
+      const page = await gh.getPage(url);
+      const found = (page.data || []).find((c) => String(c.body || '').includes(needle));
+      if (found) {
+        const entry = { id: found.id, body: found.body };
+        commentIds.set(key, entry);
+        return entry;
+      }
+      url = page.next;
+    }
+    return null;
+  }
+
+  return {
+    // `keepRunning`: do not overwrite a comment another run marked as running
+    // (used for "queued", which may race with a replica that got there first).
+    async update(number, key, fields, { keepRunning = false } = {}) {
+      if (!comments) return null;
+      try {
+        const existing = await findComment(number, key);
+        if (keepRunning && existing?.body?.includes(statusMarker('running'))) return { commentId: existing.id, kept: true };
+        const body = renderComment(job, key, fields);
+        const saved = existing
+          ? await gh.requestJson(`/repos/${gh.repo}/issues/comments/${existing.id}`, { method: 'PATCH', body: { body } })
+          : await gh.requestJson(`/repos/${gh.repo}/issues/${number}/comments`, { method: 'POST', body: { body } });
+        commentIds.set(key, { id: saved.id, body });
+        return { commentId: saved.id };
+      } catch (err) {
+        return { error: String(err) };
+      }
+    },
+
+    async commitStatus(sha, { state, description }) {
+      if (!statuses || !sha) return null;
+      try {
+        await gh.requestJson(`/repos/${gh.repo}/statuses/${sha}`, {
+          method: 'POST',
+          body: { state, context: statusContext, description: redact(description).slice(0, 140) },
+        });
+        return { sha, state, context: statusContext };
+      } catch (err) {
+        return { sha, error: String(err) };
+      }
+    },
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * Registry of the automated reviewers the PR job acts on.
+ *
+ * Configured as `reviewers` in CODEX_CRON_CONFIG (under `defaults` or per
+ * repository); without it, CodeRabbit and Copilot are registered:
+ *   "reviewers": [
+ *     { "app": "coderabbitai", "name": "CodeRabbit" },
+ *     { "login": "Copilot", "app": "copilot-pull-request-reviewer", "name": "Copilot",
+ *       "prompt": "Copilot suggestions are optional; skip the ones that do not apply." },
+ *     { "app": "sonarqubecloud", "name": "SonarQube", "resolution": "summary",
+ *       "resolvedPattern": "Quality Gate passed", "triggersCodex": false }
+ *   ]
+ *
+ * - `login` (string or list) matches a login exactly, case-insensitively.
+ *   `app` matches the GitHub App's bot account (`<slug>[bot]`; GraphQL drops
+ *   the suffix, so Bot actors are matched with it added). At least one is
+ *   required; no substring matching, so a person named "copilot-fan" is not
+ *   a reviewer.
+ * - `name`: display name for summaries and prompts (default: the login/app).
+ * - `triggersCodex` (default true): open feedback from this reviewer makes
+ *   the PR actionable. With `false` it still keeps the PR from being `ready`,
+ *   but waits for a person.
+ * - `prompt`: added to the Codex prompt (`{{pr.reviewerNotes}}`) when the
+ *   reviewer has open feedback on the PR.
+ * - `resolution`: how "resolved" is judged.
+ *   `threads` (default): no unresolved review thread with a comment by it.
+ *   `summary`: its latest summary comment (issue comment or review body;
+ *   optionally only those matching `summaryPattern`) matches
+ *   `resolvedPattern`. Its review threads are ignored.
+ *   Patterns are case-insensitive regular expressions.
+ */
+
+export const RESOLUTIONS = ['threads', 'summary'];
+
+export const DEFAULT_REVIEWERS = [
+  { app: 'coderabbitai', name: 'CodeRabbit' },
+  { login: 'Copilot', app: 'copilot-pull-request-reviewer', name: 'Copilot' },
+];
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map((v) => String(v).trim()).filter(Boolean);
+}
+
+function compilePattern(pattern, field, label) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (err) {
+    throw new Error(`Invalid ${field} for reviewer ${label}: ${err.message}`);
+  }
+}
+
+function normalizeReviewer(raw, index) {
+  const logins = toList(raw?.login).map((l) => l.toLowerCase());
+  const apps = toList(raw?.app).map((a) => a.toLowerCase());
+  const label = raw?.name || logins[0] || apps[0] || `#${index + 1}`;
+  if (!logins.length && !apps.length) {
+    throw new Error(`Reviewer ${label} needs a "login" or "app"`);
+  }
+  const resolution = raw.resolution || 'threads';
+  if (!RESOLUTIONS.includes(resolution)) {
+    throw new Error(`Reviewer ${label} has unknown resolution "${resolution}"; expected one of ${RESOLUTIONS.join(', ')}`);
+  }
+  if (resolution === 'summary' && !raw.resolvedPattern) {
+    throw new Error(`Reviewer ${label} uses summary resolution but has no "resolvedPattern"`);
+  }
+  return {
+    name: String(label),
+    logins: new Set([...logins, ...apps.map((a) => `${a}[bot]`)]),
+    triggersCodex: raw.triggersCodex !== false,
+    prompt: raw.prompt ? String(raw.prompt).trim() : '',
+    resolution,
+    summaryPattern: raw.summaryPattern ? compilePattern(raw.summaryPattern, 'summaryPattern', label) : null,
+    resolvedPattern: raw.resolvedPattern ? compilePattern(raw.resolvedPattern, 'resolvedPattern', label) : null,
+  };
+}
+
+// `type` is the REST `user.type` or the GraphQL `__typename`; both say `Bot`
+// for app accounts.
+function loginCandidates(login, type) {
+  const l = String(login || '').toLowerCase();
+  if (!l) return [];
+  return type === 'Bot' && !l.endsWith('[bot]') ? [l, `${l}[bot]`] : [l];
+}
+
+export function createReviewerRegistry(entries = DEFAULT_REVIEWERS) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('"reviewers" must be a non-empty list');
+  }
+  const reviewers = entries.map(normalizeReviewer);
+
+  function match(login, type) {
+    const candidates = loginCandidates(login, type);
+    return reviewers.find((r) => candidates.some((c) => r.logins.has(c))) || null;
+  }
+
+  return {
+    reviewers,
+    match,
+    isReviewer(login, type) {
+      return Boolean(match(login, type));
+    },
+    // Prompt addenda for the given reviewer names, in registry order.
+    notes(names = []) {
+      const wanted = new Set(names);
+      return reviewers.filter((r) => r.prompt && wanted.has(r.name)).map((r) => ({ name: r.name, prompt: r.prompt }));
+    },
+  };
+}
+
+// Latest summary of a `summary` reviewer among `posts`
+// ([{ login, type, body, at, url }]), with its verdict, or null if it has
+// not posted one.
+export function summaryStatus(reviewer, posts) {
+  let latest = null;
+  for (const post of posts) {
+    if (!post.body || !loginCandidates(post.login, post.type).some((c) => reviewer.logins.has(c))) continue;
+    if (reviewer.summaryPattern && !reviewer.summaryPattern.test(post.body)) continue;
+    if (!latest || new Date(post.at).getTime() >= new Date(latest.at).getTime()) latest = post;
+  }
+  if (!latest) return null;
+  return {
+    reviewer: reviewer.name,
+    triggersCodex: reviewer.triggersCodex,
+    resolved: reviewer.resolvedPattern.test(latest.body),
+    at: latest.at,
+    url: latest.url || null,
+    body: latest.body,
+  };
+}
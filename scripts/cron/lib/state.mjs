@@ -0,0 +1,114 @@
+/**
+ * JSON state files under $CODEX_AUTH_DIR/cron, written atomically.
+ *
+ * Per-repository state lives either under `repos["owner/name"]` in one shared
+ * file, or in one file per repository when the state path contains `{repo}`
+ * (replaced by `owner__name`).
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const CODEX_HOME = process.env.CODEX_AUTH_DIR || path.join(process.env.HOME || '/root', '.codex');
+
+export function defaultStatePath(fileName) {
+  return path.join(CODEX_HOME, 'cron', fileName);
+}
+
+export function readJson(p) {
+  try {
+    return JSON.parse(fs.readFileSync(p, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+export function writeJsonAtomic(p, obj) {
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  const tmp = `${p}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+  fs.renameSync(tmp, p);
+}
+
+export function createStateStore(statePath) {
+  return {
+    path: statePath,
+    read() {
+      return readJson(statePath) || {};
+    },
+    write(state) {
+      writeJsonAtomic(statePath, { ...state, ts: new Date().toISOString() });
+    },
+    // Re-reads the file before merging so fields owned by another writer (the
+    // webhook server vs. the cron job) are not clobbered.
+    update(patch) {
+      const next = { ...(readJson(statePath) || {}), ...patch, ts: new Date().toISOString() };
+      writeJsonAtomic(statePath, next);
+      return next;
+    },
+  };
+}
+
+export function createRepoStateStore(statePath, repo) {
+  if (statePath.includes('{repo}')) {
+    return { ...createStateStore(statePath.replaceAll('{repo}', repo.replace('/', '__'))), repo };
+  }
+
+  const readAll = () => readJson(statePath) || {};
+  const writeRepo = (repoState) => {
+    const all = readAll();
+    writeJsonAtomic(statePath, { ...all, repos: { ...(all.repos || {}), [repo]: repoState } });
+    return repoState;
+  };
+
+  return {
+    path: statePath,
+    repo,
+    read() {
+      return readAll().repos?.[repo] || {};
+    },
+    write(state) {
+      return writeRepo({ ...state, ts: new Date().toISOString() });
+    },
+    update(patch) {
+      return writeRepo({ ...(readAll().repos?.[repo] || {}), ...patch, ts: new Date().toISOString() });
+    },
+  };
+}
+
+// Dry-run stand-in for a store: reads see the real state plus whatever this
+// run would have written, and every write is recorded in `changes` instead of
+// touching the file.
+export function createDryRunStore(store) {
+  let current = null;
+  const changes = [];
+  return {
+    path: store.path,
+    repo: store.repo,
+    dryRun: true,
+    changes,
+    read() {
+      return current ? { ...current } : store.read();
+    },
+    write(state) {
+      changes.push({ write: state });
+      current = { ...state };
+      return current;
+    },
+    update(patch) {
+      changes.push({ update: patch });
+      current = { ...this.read(), ...patch };
+      return current;
+    },
+  };
+}
+
+// Single-repo state files (top-level `lastEventId`, `notified`, ...) predate
+// multi-repo support; move their contents under `repos[repo]` once.
+export function migrateLegacyState(statePath, repo) {
+  if (statePath.includes('{repo}')) return false;
+  const all = readJson(statePath);
+  if (!all || all.repos || !('lastEventId' in all)) return false;
+  writeJsonAtomic(statePath, { repos: { [repo]: all } });
+  return true;
+}
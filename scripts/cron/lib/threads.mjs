@@ -0,0 +1,144 @@
+/**
+ * Follow-up on automation review threads after a Codex run pushed fixes.
+ *
+ * Each thread that was unresolved before the run and still is afterwards is
+ * matched against the run's diff (start..end, old-side line ranges) by path
+ * and line range, give or take CODEX_REVIEW_THREAD_MATCH_LINES:
+ * - touched: reply "Addressed in <sha>" (newest commit touching the file) and
+ *   resolve the thread;
+ * - not touched: reply "needs human" once. The PR job does not count threads
+ *   whose last comment is that reply, so they wait for a person instead of
+ *   triggering more runs.
+ *
+ * What is done is configurable per bot author under `reviewThreads` in
+ * CODEX_CRON_CONFIG (`defaults` or per repository):
+ *   "reviewThreads": {
+ *     "default": { "reply": true, "resolve": true, "needsHuman": true },
+ *     "authors": { "copilot": { "resolve": false }, "coderabbit": { "needsHuman": false } }
+ *   }
+ * `authors` keys name a reviewer from the registry (lib/reviewers.mjs; its
+ * `name`, e.g. `coderabbit` for CodeRabbit) or a login, both matched exactly
+ * and case-insensitively; no substring matching, so a person named
+ * "coderabbit-fan" gets the default. A login key wins over the reviewer name.
+ *
+ * Env vars:
+ * - CODEX_REVIEW_THREAD_ACTIONS (optional, default: 1; 0 disables replies and resolving)
+ * - CODEX_REVIEW_THREAD_MATCH_LINES (optional, default: 3)
+ */
+
+import { diffUnified0, lastCommitTouching } from './git.mjs';
+import { isRateLimitError } from './github.mjs';
+
+export const ADDRESSED_MARKER = '<!-- codex-cron:thread-addressed -->';
+export const NEEDS_HUMAN_MARKER = '<!-- codex-cron:thread-needs-human -->';
+
+const ENABLED = process.env.CODEX_REVIEW_THREAD_ACTIONS !== '0';
+const MATCH_LINES = Number(process.env.CODEX_REVIEW_THREAD_MATCH_LINES || 3);
+const DEFAULT_POLICY = { reply: true, resolve: true, needsHuman: true };
+
+// Old-side changed line ranges per file from `git diff -U0`. A pure insertion
+// (`-12,0`) is recorded as touching the line it follows.
+export function parseDiffRanges(diff) {
+  const files = new Map();
+  let current = null;
+  for (const line of String(diff || '').split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      current = null;
+    } else if (line.startsWith('--- ')) {
+      const p = line.slice(4).trim();
+      current = p === '/dev/null' ? null : p.replace(/^a\//, '');
+      if (current && !files.has(current)) files.set(current, []);
+    } else if (current && line.startsWith('@@')) {
+      const m = /^@@ -(\d+)(?:,(\d+))? /.exec(line);
+      if (!m) continue;
+      const start = Number(m[1]);
+      const count = m[2] === undefined ? 1 : Number(m[2]);
+      files.get(current).push({ start, end: start + Math.max(count, 1) - 1 });
+    }
+  }
+  return files;
+}
+
+// LEFT-side comments (on removed base lines) and file-level threads cannot be
+// placed in the run's diff; any change to their file counts.
+export function threadTouched(thread, changes, slack = MATCH_LINES) {
+  const ranges = changes.get(thread.path);
+  if (!ranges) return false;
+  const end = thread.line ?? thread.originalLine;
+  const start = thread.startLine ?? thread.originalStartLine ?? end;
+  if (thread.diffSide === 'LEFT' || end == null) return true;
+  return ranges.some((r) => r.start <= end + slack && r.end >= start - slack);
+}
+
+// `reviewer`: the registry name the thread was matched to; `login` / `type`:
+// the thread author (GraphQL drops `[bot]` from app logins).
+export function threadPolicy(config = {}, { reviewer = null, login = null, type = null } = {}, enabled = ENABLED) {
+  if (!enabled) return { reply: false, resolve: false, needsHuman: false };
+  const authors = Object.fromEntries(Object.entries(config?.authors || {}).map(([key, policy]) => [key.toLowerCase(), policy]));
+  const l = String(login || '').toLowerCase();
+  const logins = type === 'Bot' && l && !l.endsWith('[bot]') ? [l, `${l}[bot]`] : [l];
+  const byName = reviewer ? authors[String(reviewer).toLowerCase()] : null;
+  const byLogin = logins.map((key) => authors[key]).find(Boolean);
+  return Object.assign({ ...DEFAULT_POLICY }, config?.default || {}, byName || {}, byLogin || {});
+}
+
+export function isNeedsHumanReply(body) {
+  return String(body || '').includes(NEEDS_HUMAN_MARKER);
+}
+
+async function replyToThread(gh, threadId, body) {
+  await gh.graphql(`
+    mutation($id:ID!, $body:String!) {
+      addPullRequestReviewThreadReply(input:{ pullRequestReviewThreadId:$id, body:$body }) { comment { id } }
+    }
+  `, { id: threadId, body });
+}
+
+async function resolveThread(gh, threadId) {
+  await gh.graphql(`
+    mutation($id:ID!) {
+      resolveReviewThread(input:{ threadId:$id }) { thread { isResolved } }
+    }
+  `, { id: threadId });
+}
+
+function threadLabel(thread) {
+  const end = thread.line ?? thread.originalLine;
+  return `${thread.path || '(no path)'}${end != null ? `:${end}` : ''}`;
+}
+
+// `threads`: the automation threads from before the run (with `id`, path,
+// line range and `comments`), already narrowed to those still unresolved.
+// `fromSha`/`toSha`: the PR head before the run and the pushed head after it.
+export async function settleReviewThreads({ gh, repoDir, fromSha, toSha, threads, config = {}, slack = MATCH_LINES }) {
+  const out = { addressed: [], needsHuman: [], errors: [] };
+  if (!threads.length) return out;
+  const changes = fromSha === toSha ? new Map() : parseDiffRanges(await diffUnified0(repoDir, fromSha, toSha));
+
+  for (const thread of threads) {
+    const comments = thread.comments || [];
+    const policy = threadPolicy(config, { reviewer: thread.reviewer, login: comments[0]?.author, type: comments[0]?.authorType });
+    const entry = { thread: thread.id, path: threadLabel(thread), author: comments[0]?.author || null };
+    try {
+      if (threadTouched(thread, changes, slack)) {
+        const commit = thread.path ? await lastCommitTouching(repoDir, fromSha, toSha, thread.path) : null;
+        const sha = commit || toSha;
+        if (policy.reply) {
+          await replyToThread(gh, thread.id, `${ADDRESSED_MARKER}\nAddressed in ${sha} by the Codex review run.`);
+        }
+        if (policy.resolve) await resolveThread(gh, thread.id);
+        out.addressed.push({ ...entry, commit: sha, replied: policy.reply, resolved: policy.resolve });
+      } else if (policy.needsHuman && !isNeedsHumanReply(comments[comments.length - 1]?.body)) {
+        await replyToThread(gh, thread.id, [
+          NEEDS_HUMAN_MARKER,
+          `The Codex review run (up to ${toSha}) did not change this code. Leaving this thread for a human reviewer.`,
+        ].join('\n'));
+        out.needsHuman.push(entry);
+      }
+    } catch (err) {
+      if (isRateLimitError(err)) throw err;
+      out.errors.push({ ...entry, error: String(err) });
+    }
+  }
+  return out;
+}
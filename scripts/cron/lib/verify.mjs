@@ -0,0 +1,93 @@
+/**
+ * Verified-push mode for the PR job's Codex runs: the post-check gates the
+ * push instead of running after it.
+ *
+ * Opt-in with `verifiedPush` in CODEX_CRON_CONFIG (under `defaults` or per
+ * repository), or for every repository with CODEX_VERIFIED_PUSH=1:
+ *   "verifiedPush": { "repairRounds": 2 }
+ * `true` uses the defaults, `false` turns it off for one repository.
+ *
+ * Codex is told to commit in the clone and not push (`{{push.instructions}}`).
+ * That is advisory, not enforced: the clone's `origin` carries no token,
+ * Codex's environment has no GitHub credentials (`withoutGitHubCredentials`)
+ * and a pre-push hook refuses with a clear message, but Codex runs unsandboxed
+ * as the same user as the job, so it could still read the job's environment
+ * or key file and push with `--no-verify`. These measures keep a cooperating
+ * agent from pushing by habit; they are no isolation boundary.
+ *
+ * The job runs the post-check (with the credentials) on the result; while it
+ * fails, its output goes back to Codex (`pr-repair` prompt template) for up
+ * to `repairRounds` more rounds.
+ * Only a result whose post-check passed (or was skipped) is pushed, by the job
+ * with its own token and `--force-with-lease` against the head the run
+ * started from.
+ *
+ * Env vars:
+ * - CODEX_VERIFIED_PUSH (optional, default: 0; 1 enables it for repositories without `verifiedPush`)
+ * - CODEX_POST_CHECK_REPAIR_ROUNDS (optional, default: 2)
+ */
+
+const OUTPUT_CHARS = 8000;
+
+export const PUSH_BLOCKED_MESSAGE = 'Pushing is disabled in this clone (verified push). Commit your changes; the job runs the post-check and pushes them once it passes.';
+
+// Push outcomes that fail the run (`push.reason`).
+export const PUSH_FAILURES = new Set(['push_rejected', 'push_failed', 'fork']);
+
+// Env vars that would let Codex reach GitHub itself (push, `gh`, API calls or
+// minting App installation tokens).
+const GITHUB_CREDENTIAL_VARS = [
+  'GH_TOKEN',
+  'GITHUB_TOKEN',
+  'GH_ENTERPRISE_TOKEN',
+  'GITHUB_ENTERPRISE_TOKEN',
+  'GITHUB_APP_PRIVATE_KEY',
+  'GITHUB_APP_PRIVATE_KEY_PATH',
+];
+
+// `{ enabled, repairRounds }` from the repo's `verifiedPush` value.
+export function verifiedPushSettings(value, env = process.env) {
+  const raw = value ?? env.CODEX_VERIFIED_PUSH === '1';
+  const opts = raw === true ? {} : raw || {};
+  if (typeof opts !== 'object' || Array.isArray(opts)) {
+    throw new Error('"verifiedPush" must be true, false or an object');
+  }
+  const repairRounds = Number(opts.repairRounds ?? env.CODEX_POST_CHECK_REPAIR_ROUNDS ?? 2);
+  if (!Number.isInteger(repairRounds) || repairRounds < 0) {
+    throw new Error('"verifiedPush.repairRounds" must be a non-negative integer');
+  }
+  return { enabled: Boolean(raw) && opts.enabled !== false, repairRounds };
+}
+
+// Codex's environment in verified-push mode.
+export function withoutGitHubCredentials(env) {
+  const out = { ...env };
+  for (const name of GITHUB_CREDENTIAL_VARS) delete out[name];
+  return out;
+}
+
+// `{{push.instructions}}` in the pr-review, pr-ci-fix and pr-command templates.
+export function pushInstructions(settings) {
+  if (!settings.enabled) return 'Push fixes to the PR branch.';
+  return 'Commit your changes but do not push them. The job runs the post-check on your commits and pushes them once it passes.';
+}
+
+// `{{push.explainHint}}`: where those templates ask Codex to explain itself.
+// In verified-push mode it is not meant to touch GitHub, so not in a comment.
+export function explainHint(settings) {
+  if (!settings.enabled) return 'in a short PR comment';
+  return 'in your final message (the job records it with the run; do not comment on the PR)';
+}
+
+export function postCheckFailed(postCheck) {
+  return Boolean(postCheck) && !postCheck.skipped && !postCheck.cancelled && postCheck.exitCode !== 0;
+}
+
+// The failing post-check's output for the repair prompt, cut at the start.
+export function postCheckOutput(postCheck, maxChars = OUTPUT_CHARS) {
+  const parts = [];
+  if (postCheck.stdout) parts.push(`stdout:\n${postCheck.stdout.trimEnd()}`);
+  if (postCheck.stderr) parts.push(`stderr:\n${postCheck.stderr.trimEnd()}`);
+  const text = parts.join('\n\n') || '(no output)';
+  return text.length > maxChars ? `...${text.slice(-(maxChars - 3))}` : text;
+}
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * Sends one test notification to every configured sink (lib/notify.mjs),
+ * ignoring dedupe records, and prints the per-sink result.
+ *
+ * Usage:
+ *   node scripts/cron/notify-test.mjs [--category urgent|ready|failed] [--repo owner/name]
+ *
+ * Routing rules apply, so `--category` / `--repo` show which sinks a real
+ * notification would reach. Exits 1 if any delivery failed.
+ */
+
+import { pathToFileURL } from 'node:url';
+import { CATEGORIES, deliver, loadSinks, sinkMatches } from './lib/notify.mjs';
+import { legacyRepo, loadRepoConfigs } from './lib/config.mjs';
+import { logJson } from './lib/redact.mjs';
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i === -1 ? null : process.argv[i + 1] || null;
+}
+
+async function main() {
+  const category = argValue('--category') || 'urgent';
+  if (!CATEGORIES.includes(category)) {
+    console.error(JSON.stringify({ error: `Unknown category ${category}; expected one of ${CATEGORIES.join(', ')}` }));
+    process.exit(2);
+  }
+  const repo = argValue('--repo') || loadRepoConfigs()[0]?.repo || legacyRepo();
+  const notification = {
+    category,
+    job: 'notify-test',
+    repo,
+    key: `test:${Date.now()}`,
+    title: 'Test notification',
+    text: `Test ${category} notification from the Codex cron jobs.`,
+    url: null,
+  };
+
+  const out = { status: 'ok', category, repo, sinks: [] };
+  for (const sink of loadSinks()) {
+    if (!sinkMatches(sink, notification)) {
+      out.sinks.push({ sink: sink.name, type: sink.type, skipped: 'not routed' });
+      continue;
+    }
+    try {
+      await deliver(sink, notification);
+      out.sinks.push({ sink: sink.name, type: sink.type, sent: true });
+    } catch (err) {
+      out.status = 'failed';
+      out.sinks.push({ sink: sink.name, type: sink.type, error: String(err) });
+    }
+  }
+
+  logJson(out);
+  if (out.status !== 'ok') process.exit(1);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((err) => {
+    logJson({ error: String(err?.stack || err) }, 'stderr');
+    process.exit(1);
+  });
+}
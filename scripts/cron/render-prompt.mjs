@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Renders the Codex prompt a cron run would use for an issue or PR, without
+ * running anything, so template changes can be reviewed before they go live.
+ *
+ * Usage:
+ *   node scripts/cron/render-prompt.mjs --issue <n> [--repo owner/name] [--json]
+ *   node scripts/cron/render-prompt.mjs --pr <n> [--repo owner/name] [--json]
+ *
+ * `--repo` defaults to the first configured repository. The prompt is printed
+ * as text (the chosen template and any unknown placeholders or missing
+ * includes go to stderr); `--json` prints `{ template, label, unknown,
+ * includes, prompt }` instead. Includes are read through the GitHub API: the
+ * default branch for issues, the PR head for PRs.
+ */
+
+import { pathToFileURL } from 'node:url';
+import { legacyRepo, loadRepoConfigs } from './lib/config.mjs';
+import { logJson, redact } from './lib/redact.mjs';
+import { renderIssuePrompt } from './github-issue-spec-codex-cron.mjs';
+import { renderPullRequestPrompt } from './github-pr-review-codex-cron.mjs';
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i === -1 ? null : process.argv[i + 1] || null;
+}
+
+function usage(message) {
+  console.error(JSON.stringify({ error: message, usage: 'render-prompt.mjs --issue <n> | --pr <n> [--repo owner/name] [--json]' }));
+  process.exit(2);
+}
+
+async function main() {
+  const issue = argValue('--issue');
+  const pr = argValue('--pr');
+  if (Boolean(issue) === Boolean(pr)) usage('pass exactly one of --issue or --pr');
+  const number = Number(issue || pr);
+  if (!Number.isInteger(number) || number <= 0) usage(`invalid number ${issue || pr}`);
+  const repo = argValue('--repo') || loadRepoConfigs()[0]?.repo || legacyRepo();
+
+  const rendered = issue ? await renderIssuePrompt(repo, number) : await renderPullRequestPrompt(repo, number);
+
+  if (process.argv.includes('--json')) {
+    logJson({ repo, ...(issue ? { issue: number } : { pr: number }), ...rendered });
+    return;
+  }
+  console.error(`template: ${rendered.template}`);
+  if (rendered.unknown.length) console.error(`unknown placeholders: ${rendered.unknown.join(', ')}`);
+  const missing = rendered.includes.filter((inc) => !inc.found).map((inc) => inc.path);
+  if (missing.length) console.error(`missing includes: ${missing.join(', ')}`);
+  console.log(redact(rendered.prompt));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((err) => {
+    logJson({ error: String(err?.stack || err) }, 'stderr');
+    process.exit(1);
+  });
+}
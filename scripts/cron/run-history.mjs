@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * Queries the run history the jobs append to (lib/history.mjs).
+ *
+ * Usage:
+ *   node scripts/cron/run-history.mjs [list] [--repo owner/name] [--number <n>]
+ *     [--job issue-spec|pr-review] [--kind <kind>] [--status <status>]
+ *     [--since <date|7d>] [--until <date|12h>] [--limit <n>] [--json]
+ *   node scripts/cron/run-history.mjs show <id>
+ *   node scripts/cron/run-history.mjs prune [--days <n>] [--dry-run]
+ *
+ * `list` prints one line per record, newest last, followed by the count per
+ * status (with --json: `{ records, counts }`). `show` prints one record in
+ * full; a unique id prefix is enough. `prune` drops records older than
+ * `--days` (default CODEX_RUN_HISTORY_RETENTION_DAYS, 90).
+ */
+
+import { pathToFileURL } from 'node:url';
+import { HISTORY_PATH, RETENTION_DAYS, filterHistory, pruneHistory, readHistory } from './lib/history.mjs';
+import { logJson } from './lib/redact.mjs';
+
+const COMMANDS = ['list', 'show', 'prune'];
+const USAGE = 'run-history.mjs [list] [--repo owner/name] [--number n] [--job j] [--kind k] [--status s] [--since 7d] [--until date] [--limit n] [--json] | show <id> | prune [--days n] [--dry-run]';
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i === -1 ? null : process.argv[i + 1] || null;
+}
+
+function usage(message) {
+  console.error(JSON.stringify({ error: message, usage: USAGE }));
+  process.exit(2);
+}
+
+function nonNegativeInt(name, value) {
+  if (value === null) return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) usage(`${name} must be a non-negative integer`);
+  return n;
+}
+
+function duration(ms) {
+  if (typeof ms !== 'number') return '-';
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  return m < 60 ? `${m}m${String(s % 60).padStart(2, '0')}s` : `${Math.floor(m / 60)}h${String(m % 60).padStart(2, '0')}m`;
+}
+
+function shortSha(sha) {
+  return sha ? String(sha).slice(0, 7) : '-';
+}
+
+function formatRecord(r) {
+  const heads = r.headShaBefore || r.headShaAfter ? `${shortSha(r.headShaBefore)}->${shortSha(r.headShaAfter)}` : '';
+  return [
+    r.id,
+    r.at,
+    r.repo,
+    `${r.job === 'issue-spec' ? 'issue' : 'pr'} #${r.number}`,
+    r.kind,
+    r.status,
+    r.reason || r.resolutionReason || '',
+    r.durationMs !== undefined ? duration(r.durationMs) : '',
+    heads,
+  ].filter((v) => v !== '').join('  ');
+}
+
+function countBy(records, key) {
+  const counts = {};
+  for (const r of records) counts[r[key]] = (counts[r[key]] || 0) + 1;
+  return counts;
+}
+
+function list() {
+  const records = filterHistory(readHistory(), {
+    repo: argValue('--repo'),
+    number: nonNegativeInt('--number', argValue('--number')),
+    job: argValue('--job'),
+    kind: argValue('--kind'),
+    status: argValue('--status'),
+    since: argValue('--since'),
+    until: argValue('--until'),
+  });
+  const limit = nonNegativeInt('--limit', argValue('--limit'));
+  const shown = limit === null ? records : records.slice(-limit);
+  const counts = countBy(records, 'status');
+  if (process.argv.includes('--json')) {
+    logJson({ path: HISTORY_PATH, total: records.length, counts, records: shown });
+    return;
+  }
+  for (const r of shown) console.log(formatRecord(r));
+  const summary = Object.entries(counts).map(([status, n]) => `${n} ${status}`).join(', ');
+  console.error(`${records.length} record(s)${summary ? `: ${summary}` : ''}${shown.length < records.length ? ` (last ${shown.length} shown)` : ''}`);
+}
+
+function show(id) {
+  if (!id) usage('show needs a record id');
+  const matches = readHistory().filter((r) => String(r.id || '').startsWith(id));
+  if (matches.length === 0) usage(`No record ${id} in ${HISTORY_PATH}`);
+  if (matches.length > 1) usage(`Record id ${id} is ambiguous (${matches.length} matches)`);
+  console.log(JSON.stringify(matches[0], null, 2));
+}
+
+async function prune() {
+  const days = nonNegativeInt('--days', argValue('--days')) ?? RETENTION_DAYS;
+  const dryRun = process.argv.includes('--dry-run');
+  const result = await pruneHistory({ days, dryRun });
+  logJson({ path: HISTORY_PATH, days, ...(dryRun ? { dryRun: true } : {}), ...result });
+}
+
+async function main() {
+  const first = process.argv[2];
+  const command = first && !first.startsWith('--') ? first : 'list';
+  if (!COMMANDS.includes(command)) usage(`Unknown command ${command}; expected one of ${COMMANDS.join(', ')}`);
+  if (command === 'show') show(process.argv[3]);
+  else if (command === 'prune') await prune();
+  else list();
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((err) => {
+    logJson({ error: String(err?.stack || err) }, 'stderr');
+    process.exit(1);
+  });
+}
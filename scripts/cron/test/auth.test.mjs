@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { after, before, describe, test } from 'node:test';
+import { createAuthProvider, credentialEnv } from '../lib/auth.mjs';
+import { startFakeGitHub } from './fake-github.mjs';
+
+const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+describe('GitHub App tokens', () => {
+  let fake;
+  let auth;
+  const routes = {};
+  before(async () => {
+    fake = await startFakeGitHub(routes);
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    auth = createAuthProvider({
+      GITHUB_APP_ID: '1',
+      GITHUB_APP_PRIVATE_KEY: privateKey.export({ type: 'pkcs1', format: 'pem' }),
+      GITHUB_APP_INSTALLATION_ID: '7',
+      GITHUB_API_URL: fake.url,
+    });
+    routes['GET /app'] = { body: { slug: 'codex-app' } };
+    routes['GET /users/codex-app%5Bbot%5D'] = { body: { id: 42 } };
+  });
+  after(() => fake.close());
+
+  test('API calls reuse a token until shortly before it expires', async () => {
+    routes['POST /app/installations/7/access_tokens'] = [
+      { status: 201, body: { token: 'ghs_first_token_value', expires_at: inMinutes(20) } },
+      { status: 201, body: { token: 'ghs_second_token_value', expires_at: inMinutes(60) } },
+    ];
+    assert.equal(await auth.getToken('o/r'), 'ghs_first_token_value');
+    assert.equal(await auth.getToken('o/r'), 'ghs_first_token_value');
+    assert.equal(fake.requests.filter((r) => r.path.endsWith('/access_tokens')).length, 1);
+  });
+
+  test('child processes get a token that outlives a long run', async () => {
+    // The cached token has 20 minutes left: too little for a Codex run.
+    const env = await credentialEnv(auth, 'o/r', {});
+    assert.equal(env.GH_TOKEN, 'ghs_second_token_value');
+    assert.equal(env.GITHUB_TOKEN, 'ghs_second_token_value');
+    assert.equal(env.GIT_AUTHOR_NAME, 'codex-app[bot]');
+    assert.equal(env.GIT_COMMITTER_EMAIL, '42+codex-app[bot]@users.noreply.github.com');
+    assert.equal(fake.requests.filter((r) => r.path.endsWith('/access_tokens')).length, 2);
+    assert.equal((await credentialEnv(auth, 'o/r', {})).GH_TOKEN, 'ghs_second_token_value');
+  });
+});
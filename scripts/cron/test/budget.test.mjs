@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { budgetSettings, createBudget, nextDeferred } from '../lib/budget.mjs';
+
+describe('budgetSettings', () => {
+  test('unset caps are unlimited and the issue reserve defaults to 20%', () => {
+    assert.deepEqual(budgetSettings(undefined, {}, undefined), {
+      repo: { dailyTokens: null, monthlyTokens: null, maxRunsPerTick: null },
+      overall: { dailyTokens: null, monthlyTokens: null },
+      issueReservePercent: 20,
+    });
+  });
+
+  test('reads repo caps, overall caps and env fallbacks', () => {
+    const env = { CODEX_BUDGET_DAILY_TOKENS: '500', CODEX_BUDGET_MONTHLY_TOKENS: '9000', CODEX_MAX_RUNS_PER_TICK: '4' };
+    const settings = budgetSettings({ dailyTokens: 100 }, env, { monthlyTokens: 8000, issueReservePercent: 50 });
+    assert.deepEqual(settings.repo, { dailyTokens: 100, monthlyTokens: null, maxRunsPerTick: 4 });
+    assert.deepEqual(settings.overall, { dailyTokens: 500, monthlyTokens: 8000 });
+    assert.equal(settings.issueReservePercent, 50);
+  });
+
+  test('rejects invalid values', () => {
+    assert.throws(() => budgetSettings([], {}, undefined), /"budget" must be an object/);
+    assert.throws(() => budgetSettings({ dailyTokens: -1 }, {}, undefined), /"budget.dailyTokens" must be a non-negative number/);
+    assert.throws(() => budgetSettings({ maxRunsPerTick: 1.5 }, {}, undefined), /"budget.maxRunsPerTick" must be an integer/);
+    assert.throws(() => budgetSettings(undefined, {}, { issueReservePercent: 120 }), /at most 100/);
+  });
+});
+
+describe('createBudget', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-cron-budget-'));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const budget = (name, value, overall, repo = 'o/r') => createBudget({
+    repo,
+    settings: budgetSettings(value, {}, overall),
+    usagePath: path.join(dir, `${name}.json`),
+  });
+
+  test('counts queued runs against the per-tick cap', async () => {
+    const b = budget('runs', { maxRunsPerTick: 2 });
+    assert.deepEqual(b.check(), { eligible: true });
+    assert.deepEqual(b.check({ pending: 2 }), { eligible: false, reason: 'budget', cap: 'runs_per_tick', used: 2, limit: 2 });
+    await b.record(null);
+    assert.deepEqual(b.check({ pending: 1 }), { eligible: false, reason: 'budget', cap: 'runs_per_tick', used: 2, limit: 2 });
+    assert.equal(b.summary().runs, 1);
+  });
+
+  test('stops new-issue runs at the reserve line and the rest at the cap', async () => {
+    const b = budget('reserve', { dailyTokens: 1000 }, { issueReservePercent: 20 });
+    await b.record({ totalTokens: 800 });
+    assert.deepEqual(b.check({ lowPriority: true }), { eligible: false, reason: 'budget', cap: 'repo_daily', used: 800, limit: 800 });
+    assert.deepEqual(b.check(), { eligible: true });
+    await b.record({ totalTokens: 200 });
+    assert.deepEqual(b.check(), { eligible: false, reason: 'budget', cap: 'repo_daily', used: 1000, limit: 1000 });
+  });
+
+  test('overall caps count the usage of every repository', async () => {
+    const overall = { monthlyTokens: 500 };
+    await budget('shared', undefined, overall, 'o/a').record({ totalTokens: 500 });
+    const b = budget('shared', undefined, overall, 'o/b');
+    assert.deepEqual(b.check(), { eligible: false, reason: 'budget', cap: 'overall_monthly', used: 500, limit: 500 });
+    assert.deepEqual(b.summary().monthly, { repo: 0, overall: 500 });
+  });
+});
+
+describe('nextDeferred', () => {
+  test('keeps when an item was first deferred and drops items that ran', () => {
+    const previous = {
+      1: { since: '2026-01-01T00:00:00.000Z', cap: 'repo_daily' },
+      2: { since: '2026-01-02T00:00:00.000Z', cap: 'repo_daily' },
+      3: { since: '2026-01-03T00:00:00.000Z', cap: 'repo_daily' },
+    };
+    const out = nextDeferred(previous, [{ number: 1, cap: 'overall_monthly' }, { number: 4, cap: 'runs_per_tick' }], new Set([1, 2, 4]));
+    assert.deepEqual(Object.keys(out).sort(), ['1', '3', '4']);
+    assert.deepEqual(out['1'], { since: '2026-01-01T00:00:00.000Z', cap: 'overall_monthly' });
+    assert.deepEqual(out['3'], previous[3]);
+    assert.equal(out['4'].cap, 'runs_per_tick');
+    assert.ok(out['4'].since);
+  });
+});
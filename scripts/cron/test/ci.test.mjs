@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { ciFixSettings, ciTargetsFromEvents, createCiFixTracker } from '../lib/ci.mjs';
+import { createStateStore } from '../lib/state.mjs';
+
+describe('ciFixSettings', () => {
+  test('is off unless the repo or CODEX_CI_FIX turns it on', () => {
+    assert.equal(ciFixSettings(undefined, {}).enabled, false);
+    assert.equal(ciFixSettings(undefined, { CODEX_CI_FIX: '1' }).enabled, true);
+    assert.equal(ciFixSettings(false, { CODEX_CI_FIX: '1' }).enabled, false);
+    assert.equal(ciFixSettings({ enabled: false }, {}).enabled, false);
+  });
+
+  test('reads maxAttempts and check name patterns', () => {
+    const settings = ciFixSettings({ maxAttempts: 2, checks: ['^build$', 'Test'] }, {});
+    assert.equal(settings.enabled, true);
+    assert.equal(settings.maxAttempts, 2);
+    assert.deepEqual(settings.checks.map((re) => re.test('unit-test')), [false, true]);
+    assert.equal(ciFixSettings({ checks: 'lint' }, {}).checks.length, 1);
+  });
+
+  test('rejects invalid values', () => {
+    assert.throws(() => ciFixSettings('yes', {}), /"ciFix" must be true, false or an object/);
+    assert.throws(() => ciFixSettings({ maxAttempts: 0 }, {}), /"ciFix.maxAttempts" must be a positive integer/);
+    assert.throws(() => ciFixSettings({ checks: ['('] }, {}), /Invalid "ciFix.checks" pattern \(/);
+  });
+});
+
+describe('ciTargetsFromEvents', () => {
+  const checkRun = (conclusion, numbers, type = 'CheckRunEvent', key = 'check_run') => ({
+    type,
+    payload: { [key]: { status: 'completed', conclusion, pull_requests: numbers.map((number) => ({ number })) } },
+  });
+  const deployment = (state, sha = 'abc') => ({
+    type: 'DeploymentStatusEvent',
+    payload: { deployment: { sha, environment: 'preview' }, deployment_status: { state, log_url: 'https://ci/log', description: 'boom' } },
+  });
+
+  test('collects PRs from failing check runs and suites only', () => {
+    const { prs } = ciTargetsFromEvents([
+      checkRun('failure', [1, 2]),
+      checkRun('success', [3]),
+      checkRun('timed_out', [2, 4], 'CheckSuiteEvent', 'check_suite'),
+      { type: 'CheckRunEvent', payload: { check_run: { status: 'in_progress', pull_requests: [{ number: 5 }] } } },
+    ]);
+    assert.deepEqual([...prs], [1, 2, 4]);
+  });
+
+  test('collects failing deployments with their commit', () => {
+    const { prs, deployments } = ciTargetsFromEvents([deployment('success'), deployment('Error', 'def'), deployment('failure', '')]);
+    assert.equal(prs.size, 0);
+    assert.deepEqual(deployments, [
+      { kind: 'deployment', sha: 'def', name: 'preview', conclusion: 'error', url: 'https://ci/log', description: 'boom' },
+    ]);
+  });
+});
+
+describe('createCiFixTracker', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-cron-ci-'));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('tries each commit once and a PR up to maxAttempts times', async () => {
+    const store = createStateStore(path.join(dir, 'state.json'));
+    const tracker = createCiFixTracker({ store, lockPath: `${store.path}.lock`, settings: ciFixSettings({ maxAttempts: 2 }, {}) });
+    assert.deepEqual(tracker.check(7, 'a'), { eligible: true, attempt: 1 });
+    await tracker.record([{ number: 7, sha: 'a' }]);
+    assert.deepEqual(tracker.check(7, 'a'), { eligible: false, reason: 'ci_fix_already_tried', sha: 'a', attempts: 1 });
+    assert.deepEqual(tracker.check(7, 'b'), { eligible: true, attempt: 2 });
+    await tracker.record([{ number: 7, sha: 'b' }]);
+    assert.deepEqual(tracker.check(7, 'c'), { eligible: false, reason: 'ci_fix_attempts_exhausted', attempts: 2 });
+    assert.deepEqual(tracker.check(8, 'a'), { eligible: true, attempt: 1 });
+    assert.equal(store.read().ciFixes['7'].lastSha, 'b');
+    assert.equal(tracker.maxAttempts, 2);
+  });
+});
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { test } from 'node:test';
+import { codexLogTail, createCodexEventParser, summarizeCodexResult } from '../lib/codex.mjs';
+
+// Recorded `codex exec --json` streams (trimmed).
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+
+function parse(chunks) {
+  const parser = createCodexEventParser();
+  for (const chunk of chunks) parser.push(chunk);
+  return parser.result();
+}
+
+// The stream cut into small chunks, so events arrive split across them and
+// multi-byte characters are split too.
+function chunked(buf, size = 7) {
+  const out = [];
+  for (let i = 0; i < buf.length; i += size) out.push(buf.subarray(i, i + size));
+  return out;
+}
+
+test('item stream: usage, final message, commands, files and PR links', () => {
+  const result = parse([fixture('codex-events.jsonl')]);
+  assert.equal(result.threadId, '0199a213-81c0-7800-8aa1-bbab2a035a53');
+  assert.equal(result.finalMessage, 'All review threads addressed.');
+  assert.deepEqual(result.usage, { inputTokens: 25763, cachedInputTokens: 24448, outputTokens: 200, totalTokens: 25963 });
+  assert.equal(result.commandCount, 3);
+  assert.equal(result.failedCommands, 1);
+  assert.deepEqual(result.commands.map((c) => [c.command, c.exitCode]), [
+    ["bash -lc 'npm test'", 1],
+    ["bash -lc 'npm test'", 0],
+    ['git push', 0],
+  ]);
+  assert.deepEqual(result.filesChanged, [{ path: 'src/parser.js', kind: 'update' }, { path: 'test/parser.test.js', kind: 'add' }]);
+  assert.deepEqual(result.prUrls, ['https://github.com/o/r/pull/12']);
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.events, 13);
+  assert.equal(result.unparsedLines, undefined);
+});
+
+test('the result does not depend on how stdout is chunked', () => {
+  const buf = Buffer.concat([fixture('codex-events.jsonl'), Buffer.from('{"type":"item.completed","item":{"type":"agent_message","text":"fertig – ✓"}}\n')]);
+  const whole = parse([buf]);
+  const pieces = parse(chunked(buf));
+  assert.deepEqual(pieces, whole);
+  assert.equal(pieces.finalMessage, 'fertig – ✓');
+});
+
+test('failed turn: errors are collected and the log shows them', () => {
+  const result = parse([fixture('codex-events-failed.jsonl')]);
+  assert.equal(result.finalMessage, null);
+  assert.deepEqual(result.errors, [
+    'stream disconnected before completion',
+    'Reconnecting... 1/5',
+    'exceeded retry limit, last status: 429 Too Many Requests',
+  ]);
+  assert.deepEqual(result.usage, { inputTokens: 0, cachedInputTokens: 0, outputTokens: 0, totalTokens: 0 });
+  assert.equal(
+    codexLogTail({ code: 1, result, stderrTail: 'codex exited', stdoutTail: '' }),
+    'stream disconnected before completion\nReconnecting... 1/5\nexceeded retry limit, last status: 429 Too Many Requests\ncodex exited',
+  );
+  assert.deepEqual(summarizeCodexResult(result).errors, result.errors);
+});
+
+test('legacy {id,msg} stream: running token totals, commands and patches', () => {
+  const result = parse(chunked(fixture('codex-events-legacy.jsonl'), 64));
+  assert.equal(result.finalMessage, 'Updated README and opened https://github.com/o/r/pull/7');
+  assert.deepEqual(result.usage, { inputTokens: 6000, cachedInputTokens: 1000, outputTokens: 300, totalTokens: 6300 });
+  assert.deepEqual(result.commands, [{ command: 'bash -lc ls', exitCode: 0 }, { command: 'bash -lc npm test', exitCode: 1 }]);
+  assert.equal(result.failedCommands, 1);
+  assert.deepEqual(result.filesChanged, [{ path: '/work/README.md', kind: 'update' }, { path: '/work/NOTES.md', kind: 'add' }]);
+  assert.deepEqual(result.prUrls, ['https://github.com/o/r/pull/7']);
+});
+
+test('truncated and non-JSON lines are counted, not fatal', () => {
+  const text = fixture('codex-events.jsonl').toString('utf8');
+  // Killed mid-write: the last event is cut off without a newline.
+  const cut = `Reading prompt from stdin...\n${text}{"type":"item.completed","item":{"type":"agent_mess`;
+  const result = parse([cut]);
+  assert.equal(result.unparsedLines, 2);
+  assert.equal(result.finalMessage, 'All review threads addressed.');
+  assert.equal(result.events, 13);
+});
+
+test('a stream without events gives no result', () => {
+  assert.equal(parse([]), null);
+  assert.equal(parse(['plain text output\n']), null);
+  assert.equal(summarizeCodexResult(null), null);
+});
+
+test('summarizeCodexResult shortens the message and keeps the last commands', () => {
+  const result = parse([fixture('codex-events.jsonl')]);
+  const summary = summarizeCodexResult(result, { messageChars: 10, commands: 1 });
+  assert.equal(summary.finalMessage, 'All rev...');
+  assert.deepEqual(summary.lastCommands, [{ command: 'git push', exitCode: 0 }]);
+  assert.deepEqual(summary.filesChanged, ['src/parser.js', 'test/parser.test.js']);
+  assert.equal(summary.threadId, result.threadId);
+});
@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { COMMAND_REPLY_MARKER, acceptCommands, commandsFromEvents, createCommandQueue, parseCommand } from '../lib/commands.mjs';
+import { createGitHubClient } from '../lib/github.mjs';
+import { createClaims } from '../lib/lock.mjs';
+import { createStateStore } from '../lib/state.mjs';
+import { startFakeGitHub } from './fake-github.mjs';
+
+describe('parseCommand', () => {
+  test('reads the verb and the rest of the comment as instructions', () => {
+    assert.deepEqual(parseCommand('/codex fix handle empty input\nin parseConfig too'), {
+      name: 'fix',
+      instructions: 'handle empty input\nin parseConfig too',
+    });
+    assert.deepEqual(parseCommand('Thanks!\n\n/CODEX Stop'), { name: 'stop', instructions: '' });
+  });
+
+  test('returns unknown and missing verbs so they can be answered', () => {
+    assert.deepEqual(parseCommand('/codex deploy'), { name: 'deploy', instructions: '' });
+    assert.deepEqual(parseCommand('/codex'), { name: '', instructions: '' });
+  });
+
+  test('ignores quotes, code blocks and comments without a command', () => {
+    assert.equal(parseCommand('> /codex fix this'), null);
+    assert.equal(parseCommand('```\n/codex fix this\n```'), null);
+    assert.equal(parseCommand('see /codex fix in the docs'), null);
+    assert.equal(parseCommand(''), null);
+  });
+});
+
+describe('commandsFromEvents', () => {
+  const comment = (body, user = { login: 'alice', type: 'User' }) => ({
+    type: 'IssueCommentEvent',
+    payload: { action: 'created', issue: { number: 3, pull_request: {} }, comment: { id: 11, body, user, html_url: 'u' } },
+  });
+
+  test('takes commands from people, not from bots or the jobs themselves', () => {
+    const commands = commandsFromEvents([
+      comment('/codex retry'),
+      comment('/codex fix it', { login: 'ci[bot]', type: 'Bot' }),
+      comment(`${COMMAND_REPLY_MARKER}\n/codex stop`),
+    ]);
+    assert.deepEqual(commands.map((c) => [c.id, c.number, c.pullRequest, c.name, c.user]), [['comment-11', 3, true, 'retry', 'alice']]);
+  });
+
+  test('returns nothing when commands are disabled', () => {
+    assert.deepEqual(commandsFromEvents([comment('/codex retry')], false), []);
+  });
+});
+
+describe('acceptCommands', () => {
+  let fake;
+  let dir;
+  let gh;
+  let queue;
+  let claims;
+  const routes = {};
+  const keyFor = (number) => `pr-${number}`;
+  const command = (id, name, { user = 'alice', instructions = '', pullRequest = true } = {}) => ({
+    id, number: 3, pullRequest, user, url: `https://github.com/o/r/pull/3#${id}`, name, instructions,
+  });
+  const replies = () => fake.requests.filter((r) => r.method === 'POST').map((r) => r.body.body);
+
+  before(async () => {
+    fake = await startFakeGitHub(routes);
+    gh = createGitHubClient({ apiUrl: fake.url, token: 'test-token', repo: 'o/r', retryBaseMs: 1, maxRetries: 0 });
+    routes['GET /repos/o/r/collaborators/alice/permission'] = { body: { permission: 'write', role_name: 'write' } };
+    routes['GET /repos/o/r/collaborators/bob/permission'] = { body: { permission: 'read', role_name: 'read' } };
+    routes['GET /repos/o/r/collaborators/carol/permission'] = { status: 500, body: { message: 'boom' } };
+    routes['POST /repos/o/r/issues/3/comments'] = { status: 201, body: { id: 1 } };
+  });
+  after(async () => {
+    await fake.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  beforeEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-cron-commands-'));
+    const store = createStateStore(path.join(dir, 'state.json'));
+    queue = createCommandQueue({ store, lockPath: `${store.path}.lock` });
+    claims = createClaims({ dir, job: 'pr-review', repo: 'o/r' });
+    fake.requests.length = 0;
+  });
+
+  test('queues a run for a maintainer and replies', async () => {
+    const handled = await acceptCommands({ gh, queue, claims, commands: [command('c1', 'fix', { instructions: 'add a test' })], keyFor });
+    assert.deepEqual(handled, [{ id: 'c1', number: 3, command: 'fix', user: 'alice', outcome: 'queued' }]);
+    assert.deepEqual(queue.pending().map((q) => [q.id, q.key, q.name, q.instructions]), [['c1', 'pr-3', 'fix', 'add a test']]);
+    assert.equal(queue.isSeen('c1'), true);
+    assert.equal(replies().length, 1);
+    assert.ok(replies()[0].startsWith(COMMAND_REPLY_MARKER));
+    assert.match(replies()[0], /Queued a Codex run for `\/codex fix`, requested by @alice/);
+  });
+
+  test('answers commands it will not run', async () => {
+    const handled = await acceptCommands({
+      gh,
+      queue,
+      claims,
+      keyFor,
+      commands: [
+        command('c1', 'fix', { user: 'bob', instructions: 'x' }),
+        command('c2', 'fix', { user: 'carol', instructions: 'x' }),
+        command('c3', 'deploy'),
+        command('c4', 'fix'),
+        command('c5', 'rebase', { pullRequest: false }),
+      ],
+    });
+    assert.deepEqual(handled.map((h) => h.outcome), ['denied', 'permission_check_failed', 'unknown', 'invalid', 'unsupported']);
+    assert.deepEqual(queue.pending(), []);
+    assert.equal(replies().length, 5);
+    assert.match(replies()[2], /unknown command `\/codex deploy`/);
+  });
+
+  test('stop drops queued runs until retry resumes them', async () => {
+    await acceptCommands({ gh, queue, claims, keyFor, commands: [command('c1', 'fix', { instructions: 'x' }), command('c2', 'stop')] });
+    assert.deepEqual(queue.pending(), []);
+    assert.equal(queue.stopped('pr-3').by, 'alice');
+    await acceptCommands({ gh, queue, claims, keyFor, commands: [command('c3', 'retry')] });
+    assert.equal(queue.stopped('pr-3'), null);
+    assert.deepEqual(queue.pending().map((q) => q.name), ['retry']);
+  });
+
+  test('skips comments already handled or claimed by another run', async () => {
+    await acceptCommands({ gh, queue, claims, keyFor, commands: [command('c1', 'retry')] });
+    const held = claims.tryClaim('command-c2');
+    const handled = await acceptCommands({ gh, queue, claims, keyFor, commands: [command('c1', 'retry'), command('c2', 'retry')] });
+    held.release();
+    assert.deepEqual(handled, []);
+    assert.equal(replies().length, 1);
+    assert.equal(queue.isSeen('c2'), false);
+  });
+
+  test('dry runs return the reply instead of posting it', async () => {
+    const handled = await acceptCommands({ gh, queue, claims, keyFor, dryRun: true, commands: [command('c1', 'stop')] });
+    assert.equal(handled[0].outcome, 'stopped');
+    assert.match(handled[0].reply, /^Stopped automatic Codex runs on this PR/);
+    assert.deepEqual(replies(), []);
+  });
+});
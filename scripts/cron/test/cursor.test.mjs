@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { readNewEvents } from '../lib/cursor.mjs';
+import { createGitHubClient } from '../lib/github.mjs';
+import { startFakeGitHub } from './fake-github.mjs';
+
+// Newest first, like the Events API: ids `from` down to `to`.
+function events(from, to) {
+  const out = [];
+  for (let id = from; id >= to; id -= 1) out.push({ id: String(id), type: 'IssuesEvent', created_at: `2026-01-01T00:00:${String(id % 60).padStart(2, '0')}Z` });
+  return out;
+}
+
+// Serves `all` (newest first) in pages of `perPage`, with Link headers and an
+// ETag on the first page.
+function pagedEvents(fake, all, { perPage = 100, etag = '"e1"' } = {}) {
+  return (req) => {
+    const page = Number(new URL(req.url, 'http://x').searchParams.get('page') || 1);
+    if (page === 1 && req.headers['if-none-match'] === etag) return { status: 304, headers: { etag } };
+    const slice = all.slice((page - 1) * perPage, page * perPage);
+    const last = Math.ceil(all.length / perPage);
+    const headers = page === 1 ? { etag } : {};
+    if (page < last) headers.link = `<${fake.url}/repos/o/r/events?per_page=100&page=${page + 1}>; rel="next"`;
+    return { headers, body: slice };
+  };
+}
+
+describe('readNewEvents', () => {
+  let fake;
+  const routes = {};
+  let gh;
+  before(async () => {
+    fake = await startFakeGitHub(routes);
+    gh = createGitHubClient({ apiUrl: fake.url, token: 't', repo: 'o/r', retryBaseMs: 1 });
+  });
+  after(() => fake.close());
+
+  test('without a cursor the newest event becomes the cursor', async () => {
+    routes['GET /repos/o/r/events'] = pagedEvents(fake, events(105, 101));
+    const out = await readNewEvents(gh, 'o/r', null);
+    assert.equal(out.initialized, true);
+    assert.equal(out.newestEventId, '105');
+    assert.deepEqual(out.events, []);
+    assert.equal(out.etag, '"e1"');
+  });
+
+  test('returns the events after the cursor, oldest first', async () => {
+    routes['GET /repos/o/r/events'] = pagedEvents(fake, events(105, 101));
+    const out = await readNewEvents(gh, 'o/r', '102');
+    assert.deepEqual(out.events.map((e) => e.id), ['103', '104', '105']);
+    assert.equal(out.reset, false);
+    assert.equal(out.gap, null);
+  });
+
+  test('sends If-None-Match and treats a 304 as no new events', async () => {
+    routes['GET /repos/o/r/events'] = pagedEvents(fake, events(105, 101));
+    const out = await readNewEvents(gh, 'o/r', '105', { etag: '"e1"' });
+    assert.equal(fake.requests.at(-1).headers['if-none-match'], '"e1"');
+    assert.equal(out.notModified, true);
+    assert.equal(out.newestEventId, '105');
+    assert.deepEqual(out.events, []);
+  });
+
+  test('follows the Link pages until the cursor is found', async () => {
+    routes['GET /repos/o/r/events'] = pagedEvents(fake, events(1250, 1001));
+    const out = await readNewEvents(gh, 'o/r', '1020');
+    assert.equal(out.pages, 3);
+    assert.equal(out.reset, false);
+    assert.equal(out.events.length, 230);
+    assert.equal(out.events[0].id, '1021');
+    assert.equal(out.events.at(-1).id, '1250');
+  });
+
+  test('a missing cursor event below the window is not a gap', async () => {
+    const all = events(1150, 1001).filter((e) => e.id !== '1100');
+    routes['GET /repos/o/r/events'] = pagedEvents(fake, all);
+    const out = await readNewEvents(gh, 'o/r', '1100');
+    assert.equal(out.reset, false);
+    assert.deepEqual(out.events.map((e) => e.id), events(1150, 1101).reverse().map((e) => e.id));
+  });
+
+  test('reports a gap when the cursor is older than the whole window', async () => {
+    routes['GET /repos/o/r/events'] = pagedEvents(fake, events(2300, 2001));
+    const out = await readNewEvents(gh, 'o/r', '1500', { lastEventAt: '2025-12-31T23:00:00Z' });
+    assert.equal(out.reset, true);
+    assert.equal(out.pages, 3);
+    assert.equal(out.events.length, 300);
+    assert.equal(out.gap.lastEventId, '1500');
+    assert.equal(out.gap.oldestAvailableEventId, '2001');
+    assert.equal(out.gap.eventsRead, 300);
+    assert.equal(out.gap.lastEventAt, '2025-12-31T23:00:00Z');
+    assert.equal(out.gap.oldestAvailableAt, '2026-01-01T00:00:21Z');
+    assert.equal(out.gap.unreadSpanMs, 3621000);
+    assert.equal(out.newestEventAt, '2026-01-01T00:00:20Z');
+  });
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ciTargetsFromEvents } from '../lib/ci.mjs';
+import { commandsFromEvents, parseCommand } from '../lib/commands.mjs';
+
+const comment = (body, extra = {}) => ({
+  type: 'IssueCommentEvent',
+  created_at: '2026-01-01T00:00:00Z',
+  payload: { action: 'created', issue: { number: 4, pull_request: {} }, comment: { id: 11, body, user: { login: 'dev', type: 'User' }, ...extra } },
+});
+
+test('parseCommand reads the first /codex line and the lines below it', () => {
+  assert.deepEqual(parseCommand('hi\n/codex fix the build\nand the docs'), { name: 'fix', instructions: 'the build\nand the docs' });
+  assert.deepEqual(parseCommand('/CODEX Retry'), { name: 'retry', instructions: '' });
+  assert.deepEqual(parseCommand('/codex'), { name: '', instructions: '' });
+  assert.equal(parseCommand('> /codex fix quoted'), null);
+  assert.equal(parseCommand('```\n/codex fix in code\n```'), null);
+  assert.equal(parseCommand('no command'), null);
+});
+
+test('commandsFromEvents maps comments, reviews and review comments', () => {
+  const review = {
+    type: 'PullRequestReviewEvent',
+    payload: { action: 'submitted', pull_request: { number: 5 }, review: { id: 12, body: '/codex rebase', user: { login: 'dev' }, submitted_at: '2026-01-02T00:00:00Z' } },
+  };
+  const reviewComment = {
+    type: 'PullRequestReviewCommentEvent',
+    payload: { action: 'created', pull_request: { number: 6 }, comment: { id: 13, body: '/codex stop', user: { login: 'dev' } } },
+  };
+  const out = commandsFromEvents([comment('/codex fix it'), review, reviewComment], true);
+  assert.deepEqual(out.map((c) => [c.id, c.number, c.name, c.pullRequest]), [
+    ['comment-11', 4, 'fix', true],
+    ['review-12', 5, 'rebase', true],
+    ['review-comment-13', 6, 'stop', true],
+  ]);
+  assert.equal(out[1].createdAt, '2026-01-02T00:00:00Z');
+});
+
+test('commandsFromEvents ignores bots, own comments, edits and disabled commands', () => {
+  const edited = comment('/codex fix');
+  edited.payload.action = 'edited';
+  assert.deepEqual(commandsFromEvents([
+    comment('/codex fix', { user: { login: 'bot', type: 'Bot' } }),
+    comment('<!-- codex-cron:command -->\n/codex fix'),
+    edited,
+  ], true), []);
+  assert.deepEqual(commandsFromEvents([comment('/codex fix')], false), []);
+});
+
+test('ciTargetsFromEvents collects PRs of failing checks and failing deployments', () => {
+  const { prs, deployments } = ciTargetsFromEvents([
+    { type: 'CheckRunEvent', payload: { check_run: { status: 'completed', conclusion: 'failure', pull_requests: [{ number: 1 }] } } },
+    { type: 'CheckRunEvent', payload: { check_run: { status: 'completed', conclusion: 'success', pull_requests: [{ number: 2 }] } } },
+    { type: 'CheckSuiteEvent', payload: { check_suite: { status: 'completed', conclusion: 'timed_out', pull_requests: [{ number: 3 }] } } },
+    {
+      type: 'DeploymentStatusEvent',
+      payload: { deployment: { sha: 'abc', environment: 'prod' }, deployment_status: { state: 'failure', log_url: 'https://logs' } },
+    },
+    { type: 'DeploymentStatusEvent', payload: { deployment: { sha: 'def' }, deployment_status: { state: 'success' } } },
+  ]);
+  assert.deepEqual([...prs], [1, 3]);
+  assert.deepEqual(deployments, [{ kind: 'deployment', sha: 'abc', name: 'prod', conclusion: 'failure', url: 'https://logs', description: '' }]);
+});
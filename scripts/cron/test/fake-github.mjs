@@ -0,0 +1,66 @@
+/**
+ * Local stand-in for the GitHub API (and other HTTP endpoints) in tests.
+ *
+ * `routes` maps `"METHOD /path"` (query string ignored) to a response, an
+ * array of responses served in turn (the last one repeats), or a function
+ * `(req) => response`. A response is `{ status, headers, body }`; `body` is
+ * sent as JSON unless it is a string. Unknown routes answer 404.
+ *
+ * Every request is recorded in `requests` as `{ method, path, url, headers,
+ * body }` (`body` parsed as JSON when possible).
+ */
+
+import http from 'node:http';
+
+function pick(route, count) {
+  if (Array.isArray(route)) return route[Math.min(count, route.length - 1)];
+  return route;
+}
+
+export async function startFakeGitHub(routes = {}) {
+  const requests = [];
+  const counts = new Map();
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', async () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      let body = text;
+      try {
+        body = text ? JSON.parse(text) : null;
+      } catch {
+        // Not JSON; keep the text.
+      }
+      const url = new URL(req.url, 'http://localhost');
+      const key = `${req.method} ${url.pathname}`;
+      const entry = { method: req.method, path: url.pathname, url: req.url, headers: req.headers, body };
+      requests.push(entry);
+
+      const count = counts.get(key) || 0;
+      counts.set(key, count + 1);
+      const route = pick(routes[key], count);
+      const out = typeof route === 'function' ? await route(entry, count) : route;
+      if (!out) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'Not Found' }));
+        return;
+      }
+      const status = out.status || 200;
+      const payload = out.body === undefined || status === 304 ? '' : typeof out.body === 'string' ? out.body : JSON.stringify(out.body);
+      res.writeHead(status, { 'Content-Type': 'application/json', ...(out.headers || {}) });
+      res.end(payload);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
@@ -0,0 +1,140 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { createGitHubClient, createRequestStats, isRateLimitError, parseLinkHeader } from '../lib/github.mjs';
+import { startFakeGitHub } from './fake-github.mjs';
+
+const resetIn = (seconds) => String(Math.floor(Date.now() / 1000) + seconds);
+
+function client(fake, opts = {}) {
+  return createGitHubClient({ apiUrl: fake.url, token: 'test-token', repo: 'o/r', retryBaseMs: 1, maxRetries: 2, ...opts });
+}
+
+describe('createGitHubClient', () => {
+  let fake;
+  const routes = {};
+  before(async () => {
+    fake = await startFakeGitHub(routes);
+  });
+  after(() => fake.close());
+
+  test('sends the auth and API version headers', async () => {
+    routes['GET /headers'] = { body: { ok: true } };
+    assert.deepEqual(await client(fake).getJson('/headers'), { ok: true });
+    const req = fake.requests.at(-1);
+    assert.equal(req.headers.authorization, 'Bearer test-token');
+    assert.equal(req.headers['x-github-api-version'], '2022-11-28');
+    assert.equal(req.headers.accept, 'application/vnd.github+json');
+  });
+
+  test('retries 5xx and counts the retries', async () => {
+    routes['GET /flaky'] = [{ status: 502, body: { message: 'bad gateway' } }, { status: 503 }, { body: { n: 1 } }];
+    const gh = client(fake);
+    assert.deepEqual(await gh.getJson('/flaky'), { n: 1 });
+    assert.equal(gh.stats.retries, 2);
+    assert.equal(gh.stats.requests, 3);
+    assert.equal(gh.stats.cost.core, 1);
+  });
+
+  test('gives up after maxRetries and throws a GitHubError with the status', async () => {
+    routes['GET /down'] = { status: 500, body: { message: 'boom' } };
+    const gh = client(fake);
+    await assert.rejects(gh.getJson('/down'), (err) => err.name === 'GitHubError' && err.status === 500);
+    assert.equal(gh.stats.requests, 3);
+  });
+
+  test('does not retry other client errors', async () => {
+    routes['GET /missing'] = { status: 404, body: { message: 'Not Found' } };
+    const gh = client(fake);
+    await assert.rejects(gh.getJson('/missing'), (err) => err.status === 404);
+    assert.equal(gh.stats.retries, 0);
+  });
+
+  test('honours Retry-After on a secondary rate limit', async () => {
+    routes['GET /secondary'] = [
+      { status: 403, headers: { 'retry-after': '1' }, body: { message: 'You have exceeded a secondary rate limit' } },
+      { body: { ok: 1 } },
+    ];
+    const gh = client(fake);
+    const started = Date.now();
+    assert.deepEqual(await gh.getJson('/secondary'), { ok: 1 });
+    assert.ok(Date.now() - started >= 900);
+    assert.equal(gh.stats.retries, 1);
+  });
+
+  test('an exhausted rate limit throws RateLimitError and fails later requests fast', async () => {
+    const reset = resetIn(3600);
+    routes['GET /limited'] = {
+      status: 403,
+      headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-limit': '5000', 'x-ratelimit-reset': reset },
+      body: { message: 'API rate limit exceeded' },
+    };
+    routes['GET /after'] = { body: {} };
+    const stats = createRequestStats();
+    const gh = client(fake, { stats, maxWaitMs: 1000 });
+    await assert.rejects(gh.getJson('/limited'), (err) => isRateLimitError(err) && err.resource === 'core');
+    assert.equal(stats.exhausted.resource, 'core');
+    assert.equal(stats.exhausted.resetAt, new Date(Number(reset) * 1000).toISOString());
+
+    const count = fake.requests.length;
+    await assert.rejects(client(fake, { stats }).getJson('/after'), isRateLimitError);
+    assert.equal(fake.requests.length, count);
+  });
+
+  test('waits for a near reset instead of spending the reserve', async () => {
+    const reset = resetIn(1);
+    routes['GET /reserve'] = { headers: { 'x-ratelimit-remaining': '5', 'x-ratelimit-limit': '5000', 'x-ratelimit-reset': reset }, body: {} };
+    const gh = client(fake, { reserve: 5, maxWaitMs: 5000 });
+    await gh.getJson('/reserve');
+    await gh.getJson('/reserve');
+    assert.ok(Date.now() >= Number(reset) * 1000);
+    assert.equal(gh.stats.exhausted, null);
+
+    routes['GET /reserve-far'] = { headers: { 'x-ratelimit-remaining': '5', 'x-ratelimit-reset': resetIn(3600) }, body: {} };
+    const far = client(fake, { reserve: 5, maxWaitMs: 5000 });
+    await far.getJson('/reserve-far');
+    await assert.rejects(far.getJson('/reserve-far'), isRateLimitError);
+  });
+
+  test('records the rate limit per resource', async () => {
+    routes['GET /search/issues'] = {
+      headers: { 'x-ratelimit-remaining': '29', 'x-ratelimit-limit': '30', 'x-ratelimit-reset': resetIn(60), 'x-ratelimit-resource': 'search' },
+      body: { items: [] },
+    };
+    const gh = client(fake);
+    await gh.getJson('/search/issues?q=x');
+    assert.equal(gh.stats.rateLimit.search.remaining, 29);
+    assert.equal(gh.stats.rateLimit.search.limit, 30);
+  });
+
+  test('getPage returns the ETag and next link, and a 304 is not an error', async () => {
+    routes['GET /paged'] = (req) => (req.headers['if-none-match'] === '"v1"'
+      ? { status: 304, headers: { etag: '"v1"' } }
+      : { headers: { etag: '"v1"', link: `<${fake.url}/paged?page=2>; rel="next", <${fake.url}/paged?page=3>; rel="last"` }, body: [1, 2] });
+    const gh = client(fake);
+    const page = await gh.getPage('/paged');
+    assert.deepEqual(page, { notModified: false, data: [1, 2], etag: '"v1"', next: `${fake.url}/paged?page=2` });
+    const again = await gh.getPage('/paged', { 'If-None-Match': '"v1"' });
+    assert.equal(again.notModified, true);
+    assert.equal(gh.stats.notModified, 1);
+    assert.equal(gh.stats.cost.core, 1);
+  });
+
+  test('graphql adds the reported cost and maps RATE_LIMITED to RateLimitError', async () => {
+    routes['POST /graphql'] = [
+      { body: { data: { viewer: { login: 'x' }, rateLimit: { cost: 3 } } } },
+      { body: { errors: [{ type: 'RATE_LIMITED', message: 'limited' }] } },
+    ];
+    const gh = client(fake);
+    assert.deepEqual(await gh.graphql('query { viewer { login } }'), { viewer: { login: 'x' }, rateLimit: { cost: 3 } });
+    assert.equal(gh.stats.cost.graphql, 3);
+    await assert.rejects(gh.graphql('query { viewer { login } }'), isRateLimitError);
+  });
+});
+
+test('parseLinkHeader', () => {
+  assert.deepEqual(parseLinkHeader('<https://x/a?page=2>; rel="next", <https://x/a?page=5>; rel="last"'), {
+    next: 'https://x/a?page=2',
+    last: 'https://x/a?page=5',
+  });
+  assert.deepEqual(parseLinkHeader(null), {});
+});
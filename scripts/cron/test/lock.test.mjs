@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import { createClaims, isLockBusyError, tryAcquireLock, withLock } from '../lib/lock.mjs';
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-cron-lock-'));
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('withLock holds the lockfile while fn runs and removes it after', async () => {
+  const lockPath = path.join(dir, 'state.json.lock');
+  const seen = await withLock(lockPath, () => fs.existsSync(lockPath));
+  assert.equal(seen, true);
+  assert.equal(fs.existsSync(lockPath), false);
+});
+
+test('a held lock is busy for others until released', async () => {
+  const lockPath = path.join(dir, 'busy.lock');
+  const held = tryAcquireLock(lockPath);
+  assert.ok(held);
+  assert.equal(tryAcquireLock(lockPath), null);
+  await assert.rejects(withLock(lockPath, () => {}, { waitMs: 0 }), isLockBusyError);
+  held.release();
+  assert.ok(tryAcquireLock(lockPath));
+});
+
+test('a lock past its heartbeat is taken over', () => {
+  const lockPath = path.join(dir, 'stale.lock');
+  fs.writeFileSync(lockPath, JSON.stringify({ token: 'old', pid: 1, hostname: 'elsewhere' }));
+  const old = new Date(Date.now() - 60000);
+  fs.utimesSync(lockPath, old, old);
+  const handle = tryAcquireLock(lockPath, { staleMs: 1000 });
+  assert.deepEqual(handle.tookOver, { hostname: 'elsewhere', pid: 1, startedAt: undefined });
+  handle.release();
+});
+
+test('dry runs write no lock or claim files', async () => {
+  const dryDir = path.join(dir, 'dry');
+  assert.equal(await withLock(null, () => 'ran'), 'ran');
+  const claims = createClaims({ dir: dryDir, job: 'pr-review', repo: 'o/r', dryRun: true });
+  const claim = claims.tryClaim('pr-1');
+  assert.ok(claim);
+  claim.release();
+  assert.equal(fs.existsSync(dryDir), false);
+});
+
+test('claims are per item', () => {
+  const claims = createClaims({ dir, job: 'pr-review', repo: 'o/r' });
+  const a = claims.tryClaim('pr-1');
+  assert.ok(a);
+  assert.equal(claims.tryClaim('pr-1'), null);
+  assert.equal(claims.holder('pr-1').item, 'o/r#pr-1');
+  assert.ok(fs.existsSync(path.join(dir, 'claims', 'pr-review-o__r-pr-1.lock')));
+  const b = claims.tryClaim('pr-2');
+  assert.ok(b);
+  a.release();
+  b.release();
+});
@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { autoRebaseSettings, createRebaseTracker, integrateBase, integrationArgs, needsRebase } from '../lib/rebase.mjs';
+import { createStateStore } from '../lib/state.mjs';
+
+// Git without the caller's global, system or env-injected config.
+const gitEnv = {
+  ...Object.fromEntries(Object.entries(process.env).filter(([k]) => !k.startsWith('GIT_'))),
+  GIT_CONFIG_GLOBAL: '/dev/null',
+  GIT_CONFIG_NOSYSTEM: '1',
+  GIT_AUTHOR_NAME: 'Test',
+  GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'Test',
+  GIT_COMMITTER_EMAIL: 'test@example.com',
+};
+const git = (dir, ...args) => execFileSync('git', args, { cwd: dir, env: gitEnv, encoding: 'utf8' }).trim();
+
+function commit(dir, file, text, message) {
+  fs.writeFileSync(path.join(dir, file), text);
+  git(dir, 'add', file);
+  git(dir, 'commit', '-qm', message);
+}
+
+describe('autoRebaseSettings', () => {
+  test('is off unless the repo or CODEX_AUTO_REBASE turns it on', () => {
+    assert.equal(autoRebaseSettings(undefined, {}).enabled, false);
+    assert.equal(autoRebaseSettings(undefined, { CODEX_AUTO_REBASE: '1' }).enabled, true);
+    assert.equal(autoRebaseSettings(false, { CODEX_AUTO_REBASE: '1' }).enabled, false);
+    assert.equal(autoRebaseSettings({ enabled: false }, {}).enabled, false);
+  });
+
+  test('reads the strategy and whether Codex resolves conflicts', () => {
+    assert.deepEqual(autoRebaseSettings({ strategy: 'merge', codex: false }, {}), { enabled: true, strategy: 'merge', codex: false });
+    assert.equal(autoRebaseSettings(true, {}).codex, true);
+  });
+
+  test('rejects invalid values', () => {
+    assert.throws(() => autoRebaseSettings('yes', {}), /"autoRebase" must be true, false or an object/);
+    assert.throws(() => autoRebaseSettings({ strategy: 'squash' }, {}), /Unknown "autoRebase.strategy" "squash"/);
+  });
+});
+
+test('needsRebase picks open PRs that are dirty or behind', () => {
+  assert.equal(needsRebase({ state: 'open', mergeable_state: 'dirty' }), true);
+  assert.equal(needsRebase({ state: 'open', mergeable_state: 'behind' }), true);
+  assert.equal(needsRebase({ state: 'open', mergeable_state: 'clean' }), false);
+  assert.equal(needsRebase({ state: 'closed', mergeable_state: 'dirty' }), false);
+  assert.equal(needsRebase(null), false);
+});
+
+test('integrationArgs rebases onto or merges in the base branch', () => {
+  assert.deepEqual(integrationArgs('rebase', 'main', 'feat'), ['rebase', 'origin/main']);
+  assert.deepEqual(integrationArgs('merge', 'main', 'feat'), ['merge', '--no-edit', '-m', "Merge branch 'main' into feat", 'origin/main']);
+});
+
+describe('integrateBase', () => {
+  let root;
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-cron-rebase-'));
+  });
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  // A clone-like repo on `feat` whose `origin/main` moved on; `conflict`
+  // makes both sides change the same line.
+  function setup(name, { conflict }) {
+    const dir = path.join(root, name);
+    fs.mkdirSync(dir);
+    git(dir, 'init', '-q', '-b', 'main');
+    commit(dir, 'a.txt', 'base\n', 'base');
+    git(dir, 'checkout', '-qb', 'feat');
+    commit(dir, conflict ? 'a.txt' : 'b.txt', 'feat\n', 'feat');
+    git(dir, 'checkout', '-q', 'main');
+    commit(dir, 'a.txt', 'main\n', 'main');
+    git(dir, 'update-ref', 'refs/remotes/origin/main', 'main');
+    git(dir, 'checkout', '-q', 'feat');
+    return dir;
+  }
+
+  for (const strategy of ['rebase', 'merge']) {
+    test(`${strategy}: a clean integration leaves the base branch in HEAD`, async () => {
+      const dir = setup(`clean-${strategy}`, { conflict: false });
+      assert.deepEqual(await integrateBase(dir, { baseRef: 'main', headRef: 'feat', strategy, env: gitEnv }), { conflicts: [] });
+      assert.equal(fs.readFileSync(path.join(dir, 'a.txt'), 'utf8'), 'main\n');
+      assert.equal(fs.readFileSync(path.join(dir, 'b.txt'), 'utf8'), 'feat\n');
+      git(dir, 'merge-base', '--is-ancestor', 'origin/main', 'HEAD');
+    });
+
+    test(`${strategy}: conflicts are returned with the ${strategy} left in progress`, async () => {
+      const dir = setup(`conflict-${strategy}`, { conflict: true });
+      assert.deepEqual(await integrateBase(dir, { baseRef: 'main', headRef: 'feat', strategy, env: gitEnv }), { conflicts: ['a.txt'] });
+      const marker = strategy === 'merge' ? 'MERGE_HEAD' : 'rebase-merge';
+      assert.ok(fs.existsSync(path.join(dir, '.git', marker)));
+    });
+  }
+
+  test('other failures throw', async () => {
+    const dir = setup('missing-base', { conflict: false });
+    await assert.rejects(integrateBase(dir, { baseRef: 'nope', headRef: 'feat', strategy: 'rebase', env: gitEnv }), /git rebase failed/);
+  });
+});
+
+describe('createRebaseTracker', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-cron-rebase-state-'));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('tries each pair of PR head and base commit once', async () => {
+    const store = createStateStore(path.join(dir, 'state.json'));
+    const tracker = createRebaseTracker({ store, lockPath: `${store.path}.lock`, settings: autoRebaseSettings(true, {}) });
+    assert.deepEqual(tracker.check(7, 'h1', 'b1'), { eligible: true });
+    await tracker.record([{ pr: 7, headSha: 'h1', baseSha: 'b1', outcome: 'conflicts' }]);
+    assert.deepEqual(tracker.check(7, 'h1', 'b1'), { eligible: false, reason: 'rebase_already_tried', outcome: 'conflicts' });
+    assert.deepEqual(tracker.check(7, 'h2', 'b1'), { eligible: true });
+    assert.deepEqual(tracker.check(7, 'h1', 'b2'), { eligible: true });
+    assert.equal(tracker.strategy, 'rebase');
+  });
+});
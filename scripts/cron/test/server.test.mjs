@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { createRequire } from 'node:module';
+import { after, before, beforeEach, describe, test } from 'node:test';
+
+const require = createRequire(import.meta.url);
+const { createWebhookServer } = require('../../../api/server.js');
+
+const SECRET = 'webhook-test-secret';
+
+function sign(body, secret = SECRET) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// Resolves with the response even when the server closes the connection
+// before the whole body was sent (the 413 path).
+function post(url, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method: 'POST', headers: { 'content-type': 'application/json', ...headers } }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) }));
+    });
+    req.on('error', (err) => (err.code === 'EPIPE' || err.code === 'ECONNRESET' ? null : reject(err)));
+    req.end(body);
+  });
+}
+
+function delivery(url, { id = crypto.randomUUID(), event = 'issues', payload = { action: 'labeled', repository: { full_name: 'o/r' } }, signature } = {}) {
+  const body = JSON.stringify(payload);
+  return post(url, body, {
+    'x-github-event': event,
+    'x-github-delivery': id,
+    'x-hub-signature-256': signature ?? sign(body),
+  });
+}
+
+describe('webhook server', () => {
+  let webhook;
+  let url;
+  const calls = [];
+  let fail = false;
+  const log = console.log;
+  const error = console.error;
+
+  const handler = (job) => ({
+    handleWebhookEvents: async (events, repo) => {
+      calls.push({ job, id: events[0].id, type: events[0].type, repo });
+      if (fail) throw new Error('handler failed');
+      return { job, repo };
+    },
+  });
+
+  before(async () => {
+    // The server logs every delivery's summary; keep the test output clean.
+    console.log = () => {};
+    console.error = () => {};
+    const jobs = {
+      issueSpec: handler('issue-spec'),
+      prReview: handler('pr-review'),
+      repos: [{ repo: 'o/r' }],
+      findRepoConfig: (repos, name) => repos.find((r) => r.repo.toLowerCase() === String(name).toLowerCase()) || null,
+      cancelChildren: () => 0,
+    };
+    webhook = createWebhookServer({ secret: SECRET, webhookPath: '/webhook', maxBodyBytes: 4096, loadJobs: async () => jobs });
+    await new Promise((resolve) => webhook.server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${webhook.server.address().port}/webhook`;
+  });
+  after(async () => {
+    await new Promise((resolve) => webhook.server.close(resolve));
+    console.log = log;
+    console.error = error;
+  });
+  beforeEach(() => {
+    calls.length = 0;
+    fail = false;
+  });
+
+  test('deliveries with a missing or wrong signature are refused', async () => {
+    assert.equal((await delivery(url, { signature: '' })).status, 401);
+    assert.equal((await delivery(url, { signature: sign('{}', 'other-secret') })).status, 401);
+    await webhook.idle();
+    assert.deepEqual(calls, []);
+  });
+
+  test('a signed delivery is queued for the job that owns the event', async () => {
+    const issue = await delivery(url, { id: 'd-issue' });
+    assert.equal(issue.status, 202);
+    assert.deepEqual(issue.body, { ok: true, queued: true, delivery: 'd-issue', event: 'IssuesEvent' });
+    const comment = { action: 'created', issue: { number: 3, pull_request: {} }, repository: { full_name: 'o/r' } };
+    await delivery(url, { id: 'd-pr', event: 'issue_comment', payload: comment });
+    await webhook.idle();
+    assert.deepEqual(calls.map((c) => [c.job, c.id, c.repo]), [['issue-spec', 'd-issue', 'o/r'], ['pr-review', 'd-pr', 'o/r']]);
+  });
+
+  test('pings, unsupported events and other repositories are not queued', async () => {
+    assert.deepEqual((await delivery(url, { event: 'ping' })).body, { ok: true, pong: true });
+    assert.match((await delivery(url, { event: 'star' })).body.ignored, /unsupported event/);
+    const other = await delivery(url, { payload: { repository: { full_name: 'o/other' } } });
+    assert.match(other.body.ignored, /o\/other is not configured/);
+    await webhook.idle();
+    assert.deepEqual(calls, []);
+  });
+
+  test('an oversized body is answered with 413', async () => {
+    const body = JSON.stringify({ repository: { full_name: 'o/r' }, pad: 'x'.repeat(64 * 1024) });
+    const res = await post(url, body, { 'x-github-event': 'issues', 'x-hub-signature-256': sign(body) });
+    assert.equal(res.status, 413);
+    assert.equal(res.body.error, 'payload too large');
+  });
+
+  test('a delivery is handled once', async () => {
+    await delivery(url, { id: 'd-dup' });
+    const again = await delivery(url, { id: 'd-dup' });
+    assert.equal(again.body.ignored, 'duplicate delivery');
+    await webhook.idle();
+    assert.equal(calls.length, 1);
+  });
+
+  test('a delivery whose handler failed can be redelivered', async () => {
+    fail = true;
+    await delivery(url, { id: 'd-failed' });
+    await webhook.idle();
+    fail = false;
+    const again = await delivery(url, { id: 'd-failed' });
+    assert.equal(again.body.queued, true);
+    await webhook.idle();
+    assert.deepEqual(calls.map((c) => c.id), ['d-failed', 'd-failed']);
+  });
+});
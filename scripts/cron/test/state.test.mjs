@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import { createDryRunStore, createRepoStateStore, createStateStore, migrateLegacyState, readJson } from '../lib/state.mjs';
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-cron-state-'));
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('createStateStore writes atomically and update merges with the file', () => {
+  const store = createStateStore(path.join(dir, 'nested', 'state.json'));
+  assert.deepEqual(store.read(), {});
+  store.write({ a: 1 });
+  fs.writeFileSync(store.path, JSON.stringify({ ...readJson(store.path), b: 2 }));
+  const next = store.update({ c: 3 });
+  assert.equal(next.a, 1);
+  assert.equal(next.b, 2);
+  assert.equal(next.c, 3);
+  assert.ok(next.ts);
+  assert.equal(fs.statSync(store.path).mode & 0o777, 0o600);
+  assert.deepEqual(fs.readdirSync(path.dirname(store.path)), ['state.json']);
+});
+
+test('createRepoStateStore keeps each repository under repos[repo]', () => {
+  const file = path.join(dir, 'shared.json');
+  const a = createRepoStateStore(file, 'o/a');
+  const b = createRepoStateStore(file, 'o/b');
+  a.update({ lastEventId: '1' });
+  b.update({ lastEventId: '2' });
+  a.update({ notified: {} });
+  assert.equal(a.read().lastEventId, '1');
+  assert.deepEqual(a.read().notified, {});
+  assert.equal(b.read().lastEventId, '2');
+  assert.deepEqual(Object.keys(readJson(file).repos), ['o/a', 'o/b']);
+});
+
+test('createRepoStateStore with {repo} uses one file per repository', () => {
+  const store = createRepoStateStore(path.join(dir, 'per-{repo}.json'), 'o/r');
+  store.update({ x: 1 });
+  assert.equal(store.path, path.join(dir, 'per-o__r.json'));
+  assert.equal(readJson(store.path).x, 1);
+});
+
+test('createDryRunStore records changes and leaves the file alone', () => {
+  const real = createStateStore(path.join(dir, 'dry.json'));
+  real.write({ cursor: 'a' });
+  const before = fs.readFileSync(real.path, 'utf8');
+  const dry = createDryRunStore(real);
+  dry.update({ cursor: 'b' });
+  assert.equal(dry.read().cursor, 'b');
+  assert.deepEqual(dry.changes, [{ update: { cursor: 'b' } }]);
+  assert.equal(fs.readFileSync(real.path, 'utf8'), before);
+});
+
+test('migrateLegacyState moves a single-repo file under repos once', () => {
+  const file = path.join(dir, 'legacy.json');
+  fs.writeFileSync(file, JSON.stringify({ lastEventId: '9', notified: { 1: true } }));
+  assert.equal(migrateLegacyState(file, 'o/r'), true);
+  assert.deepEqual(readJson(file), { repos: { 'o/r': { lastEventId: '9', notified: { 1: true } } } });
+  assert.equal(migrateLegacyState(file, 'o/r'), false);
+});
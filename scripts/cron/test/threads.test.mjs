@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { parseDiffRanges, threadPolicy, threadTouched } from '../lib/threads.mjs';
+
+const config = {
+  default: { needsHuman: false },
+  authors: { coderabbit: { resolve: false }, 'copilot-pull-request-reviewer[bot]': { reply: false } },
+};
+
+test('threadPolicy keys on the reviewer name and exact logins', () => {
+  assert.deepEqual(threadPolicy(config, { reviewer: 'CodeRabbit', login: 'coderabbitai', type: 'Bot' }, true), {
+    reply: true,
+    resolve: false,
+    needsHuman: false,
+  });
+  assert.deepEqual(threadPolicy(config, { reviewer: 'Copilot', login: 'copilot-pull-request-reviewer', type: 'Bot' }, true), {
+    reply: false,
+    resolve: true,
+    needsHuman: false,
+  });
+});
+
+test('threadPolicy does not match logins by substring', () => {
+  assert.deepEqual(threadPolicy(config, { login: 'coderabbit-fan', type: 'User' }, true), { reply: true, resolve: true, needsHuman: false });
+  assert.deepEqual(threadPolicy(config, { reviewer: 'CodeRabbit Pro', login: 'coderabbitai' }, true), { reply: true, resolve: true, needsHuman: false });
+});
+
+test('threadPolicy turns everything off when disabled', () => {
+  assert.deepEqual(threadPolicy(config, { reviewer: 'CodeRabbit' }, false), { reply: false, resolve: false, needsHuman: false });
+});
+
+test('parseDiffRanges and threadTouched', () => {
+  const changes = parseDiffRanges([
+    'diff --git a/src/a.js b/src/a.js',
+    '--- a/src/a.js',
+    '+++ b/src/a.js',
+    '@@ -10,2 +10,3 @@',
+    '@@ -40,0 +42 @@',
+    'diff --git a/new.js b/new.js',
+    '--- /dev/null',
+    '+++ b/new.js',
+    '@@ -0,0 +1 @@',
+  ].join('\n'));
+  assert.deepEqual(changes.get('src/a.js'), [{ start: 10, end: 11 }, { start: 40, end: 40 }]);
+  assert.equal(changes.has('new.js'), false);
+  assert.equal(threadTouched({ path: 'src/a.js', line: 14 }, changes, 3), true);
+  assert.equal(threadTouched({ path: 'src/a.js', line: 20 }, changes, 3), false);
+  assert.equal(threadTouched({ path: 'src/a.js', line: 90, diffSide: 'LEFT' }, changes, 3), true);
+  assert.equal(threadTouched({ path: 'src/b.js', line: 1 }, changes, 3), false);
+});
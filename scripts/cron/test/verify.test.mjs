@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { blockPushes, cloneUrl, pushWithLease, refreshRemoteToken, stripRemoteCredentials } from '../lib/git.mjs';
+import {
+  PUSH_BLOCKED_MESSAGE,
+  explainHint,
+  postCheckFailed,
+  postCheckOutput,
+  pushInstructions,
+  verifiedPushSettings,
+  withoutGitHubCredentials,
+} from '../lib/verify.mjs';
+
+describe('verifiedPushSettings', () => {
+  test('is off unless the repo or CODEX_VERIFIED_PUSH turns it on', () => {
+    assert.deepEqual(verifiedPushSettings(undefined, {}), { enabled: false, repairRounds: 2 });
+    assert.equal(verifiedPushSettings(undefined, { CODEX_VERIFIED_PUSH: '1' }).enabled, true);
+    assert.equal(verifiedPushSettings(false, { CODEX_VERIFIED_PUSH: '1' }).enabled, false);
+    assert.deepEqual(verifiedPushSettings({ repairRounds: 0 }, {}), { enabled: true, repairRounds: 0 });
+    assert.throws(() => verifiedPushSettings({ repairRounds: -1 }, {}), /non-negative integer/);
+  });
+
+  test('the prompt wording follows the mode', () => {
+    assert.equal(pushInstructions({ enabled: false }), 'Push fixes to the PR branch.');
+    assert.match(pushInstructions({ enabled: true }), /do not push/);
+    assert.equal(explainHint({ enabled: false }), 'in a short PR comment');
+    assert.match(explainHint({ enabled: true }), /^in your final message/);
+  });
+});
+
+test('withoutGitHubCredentials drops every GitHub credential and nothing else', () => {
+  const env = {
+    PATH: '/bin',
+    OPENAI_API_KEY: 'sk-test',
+    GIT_AUTHOR_NAME: 'bot',
+    GH_TOKEN: 'a',
+    GITHUB_TOKEN: 'b',
+    GH_ENTERPRISE_TOKEN: 'c',
+    GITHUB_ENTERPRISE_TOKEN: 'd',
+    GITHUB_APP_PRIVATE_KEY: 'e',
+    GITHUB_APP_PRIVATE_KEY_PATH: '/key.pem',
+  };
+  assert.deepEqual(withoutGitHubCredentials(env), { PATH: '/bin', OPENAI_API_KEY: 'sk-test', GIT_AUTHOR_NAME: 'bot' });
+  assert.equal(env.GH_TOKEN, 'a');
+});
+
+test('post-check results', () => {
+  assert.equal(postCheckFailed({ skipped: false, exitCode: 1 }), true);
+  assert.equal(postCheckFailed({ skipped: false, exitCode: 0 }), false);
+  assert.equal(postCheckFailed({ skipped: true }), false);
+  assert.equal(postCheckFailed({ skipped: false, cancelled: true, exitCode: null }), false);
+  assert.equal(postCheckOutput({ stdout: 'out\n', stderr: 'err\n' }), 'stdout:\nout\n\nstderr:\nerr');
+  assert.equal(postCheckOutput({}), '(no output)');
+  assert.equal(postCheckOutput({ stdout: 'x'.repeat(50) }, 20), `...${'x'.repeat(17)}`);
+});
+
+describe('isolating a clone', () => {
+  let root;
+  let bare;
+  let clone;
+  const saved = {};
+  // Git without the caller's global, system or env-injected config (which
+  // may set its own core.hooksPath); the lib's git calls see the same env.
+  const gitEnv = () => ({
+    ...process.env,
+    GIT_AUTHOR_NAME: 'Test',
+    GIT_AUTHOR_EMAIL: 'test@example.com',
+    GIT_COMMITTER_NAME: 'Test',
+    GIT_COMMITTER_EMAIL: 'test@example.com',
+  });
+  const git = (dir, ...args) => execFileSync('git', args, { cwd: dir, env: gitEnv(), encoding: 'utf8', stdio: 'pipe' }).trim();
+
+  before(() => {
+    for (const key of [...Object.keys(process.env).filter((k) => k.startsWith('GIT_')), 'GIT_CONFIG_GLOBAL', 'GIT_CONFIG_NOSYSTEM']) {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    }
+    process.env.GIT_CONFIG_GLOBAL = '/dev/null';
+    process.env.GIT_CONFIG_NOSYSTEM = '1';
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-cron-verify-'));
+    bare = path.join(root, 'remote.git');
+    clone = path.join(root, 'clone');
+    git(root, 'init', '-q', '--bare', '-b', 'main', bare);
+    git(root, 'clone', '-q', bare, clone);
+    fs.writeFileSync(path.join(clone, 'a.txt'), 'one\n');
+    git(clone, 'add', 'a.txt');
+    git(clone, 'commit', '-qm', 'one');
+    git(clone, 'push', '-q', 'origin', 'HEAD:refs/heads/main');
+  });
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  test('origin loses the token and gets it back', async () => {
+    await refreshRemoteToken(clone, 'o/r', 'ghs_secret');
+    assert.equal(git(clone, 'remote', 'get-url', 'origin'), cloneUrl('o/r', 'ghs_secret'));
+    assert.equal(git(clone, 'remote', 'get-url', '--push', 'origin'), cloneUrl('o/r', 'ghs_secret'));
+    await stripRemoteCredentials(clone, 'o/r');
+    assert.equal(git(clone, 'remote', 'get-url', 'origin'), 'https://github.com/o/r.git');
+    assert.equal(git(clone, 'remote', 'get-url', '--push', 'origin'), 'https://github.com/o/r.git');
+    assert.doesNotMatch(fs.readFileSync(path.join(clone, '.git', 'config'), 'utf8'), /ghs_secret/);
+  });
+
+  test('a blocked clone refuses plain pushes; the job pushes with a lease', async () => {
+    const start = git(clone, 'rev-parse', 'HEAD');
+    await blockPushes(clone, PUSH_BLOCKED_MESSAGE);
+    fs.writeFileSync(path.join(clone, 'a.txt'), 'two\n');
+    git(clone, 'commit', '-qam', 'two');
+
+    assert.throws(() => git(clone, 'push', bare, 'HEAD:refs/heads/main'), (err) => err.stderr.includes(PUSH_BLOCKED_MESSAGE));
+    assert.equal(git(bare, 'rev-parse', 'main'), start);
+
+    assert.deepEqual(await pushWithLease(clone, 'main', start, { env: gitEnv(), remote: bare, noVerify: true }), { pushed: true });
+    assert.equal(git(bare, 'rev-parse', 'main'), git(clone, 'rev-parse', 'HEAD'));
+
+    fs.writeFileSync(path.join(clone, 'a.txt'), 'three\n');
+    git(clone, 'commit', '-qam', 'three');
+    const stale = await pushWithLease(clone, 'main', start, { env: gitEnv(), remote: bare, noVerify: true });
+    assert.equal(stale.pushed, false);
+    assert.equal(stale.rejected, true);
+  });
+});